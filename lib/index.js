@@ -1,35 +1,142 @@
 import { getElementOffset } from '@danielgindi/dom-utils/lib/Css.js';
+import { getScrollHorz, calculateNativeScrollLeftForHorz } from '@danielgindi/dom-utils/lib/ScrollHelper.js';
 
 /**
  * @typedef {function(index: number):(number|undefined)} VirtualListHelper~ItemHeightEstimatorFunction
  */
 
 /**
- * @typedef {function():Element} VirtualListHelper~ItemElementCreatorFunction
+ * @typedef {function(type: *):Element} VirtualListHelper~ItemElementCreatorFunction
  */
 
 /**
- * @typedef {function(itemEl: Element, index: number)} VirtualListHelper~ItemRenderFunction
+ * @typedef {function(index: number):*} VirtualListHelper~ItemTypeFunction
+ */
+
+/**
+ * @typedef {function(itemEl: Element, index: number, signal: AbortSignal):(Promise|undefined)} VirtualListHelper~ItemRenderFunction
  */
 
 /**
  * @typedef {function(itemEl: Element)} VirtualListHelper~ItemUnrenderFunction
  */
 
+/**
+ * @typedef {function(index: number):boolean} VirtualListHelper~SectionHeaderFunction
+ */
+
+/**
+ * @typedef {function(index: number):*} VirtualListHelper~ItemKeyFunction
+ */
+
+/**
+ * @typedef {Object} VirtualListHelper~VisibleRange
+ * @property {number} firstVisible the index of the first visible item, or `-1`
+ * @property {number} lastVisible the index of the last visible item, or `-1`
+ * @property {number} firstRendered the index of the first rendered item, or `-1`
+ * @property {number} lastRendered the index of the last rendered item, or `-1`
+ */
+
+/**
+ * @typedef {function(range: VirtualListHelper~VisibleRange)} VirtualListHelper~VisibleRangeChangeFunction
+ */
+
+/**
+ * @typedef {function():(Promise<number|undefined>|number|undefined)} VirtualListHelper~ReachEdgeFunction
+ */
+
+/**
+ * @typedef {function(el: Element, edge: 'start'|'end')} VirtualListHelper~LoadingIndicatorRenderFunction
+ */
+
+/**
+ * @typedef {Object} VirtualListHelper~ListChange
+ * @property {'insert'|'remove'|'move'|'update'} type the type of change
+ * @property {number} index the index of the first item that the change applies to
+ * @property {number} [count=1] the count of items that the change applies to
+ * @property {number} [to] for `'move'`: the index that the first moved item ends up at
+ */
+
+/**
+ * @typedef {Object} VirtualListHelper~MeasurementsSnapshot
+ * @property {number} width the width of the list when measured (its height, in horizontal mode)
+ * @property {boolean} byKey whether the heights are by item key, or by index
+ * @property {Array<Array<*, number>>} heights pairs of item key (or index) and measured height
+ */
+
+/**
+ * @typedef {Object} VirtualListHelper~ScrollState
+ * @property {number} anchorIndex the index of the first visible item
+ * @property {number} offsetWithinItem how far the viewport starts past the start of that item
+ */
+
+/**
+ * @typedef {Object} VirtualListHelper~ScrollToIndexOptions
+ * @property {'start'|'center'|'end'|'auto'} [align='start'] where to align the item in the viewport. `'auto'` scrolls only if the item is not fully visible.
+ * @property {'instant'|'smooth'} [behavior='instant'] the scroll behavior
+ * @property {number} [offset=0] an additional offset to add to the resulting scroll position
+ */
+
+/**
+ * @typedef {Object} VirtualListHelper~SelectOptions
+ * @property {boolean} [toggle=false] toggle the item, keeping the rest of the selection (i.e. ctrl/cmd-click)
+ * @property {boolean} [range=false] select the range from the last selected item (i.e. shift-click). Applicable for `'multiple'` selection mode only
+ */
+
 /**
  * @typedef {Object} VirtualListHelper~Options
  * @property {Element} list - the main element to operate inside of
  * @property {Element?} [itemsParent] - the element to use as parent for the items (automatically created in virtual mode, uses parent by default in non-virtual mode)
  * @property {boolean} [autoVirtualWrapperWidth=true] automatically set the width of the virtual wrapper
  * @property {boolean} [hookScrollEvent=true] automatically hook scroll event as needed
+ * @property {boolean} [renderOnAnimationFrame=false] render once per animation frame for scroll events, instead of for every event
+ * @property {Element|Window|null} [scrollElement=null] the element that scrolls the list, if it's not the list itself. Either `window` or an ancestor of the list.
+ * @property {boolean} [observeItemResize=false] automatically re-measure rendered items when their size changes, using a `ResizeObserver`
+ * @property {boolean} [scrollAnchoring=false] keep the first visible item in place when items before it change size or are inserted
+ * @property {boolean} [stickToBottom=false] start scrolled to the bottom, and stay there when items are added while at the bottom (implies scroll anchoring)
+ * @property {boolean} [alignToBottom=false] align the content of short lists to the bottom of the viewport
+ * @property {number} [stickToBottomThreshold=1] the distance from the bottom (in pixels) that is still considered "at the bottom"
+ * @property {function(stuck: boolean)} [onStickToBottomChange] a function to be notified when the list becomes stuck to the bottom, or scrolled away from it
+ * @property {VirtualListHelper~VisibleRangeChangeFunction} [onVisibleRangeChange] a function to be notified when the visible/rendered range changes
+ * @property {VirtualListHelper~ReachEdgeFunction} [onReachStart] a function for loading more items at the start of the list, called when the rendered range gets near the start
+ * @property {VirtualListHelper~ReachEdgeFunction} [onReachEnd] a function for loading more items at the end of the list, called when the rendered range gets near the end
+ * @property {function(error: *, edge: 'start'|'end')} [onLoadMoreError] a function to be notified when loading more items fails
+ * @property {number} [reachThreshold=5] the distance (in items) from either end of the list that triggers `onReachStart`/`onReachEnd`
+ * @property {number} [reachThresholdPx=0] the distance (in pixels) from either end of the scrollable area that also triggers `onReachStart`/`onReachEnd`
+ * @property {boolean} [hasMoreAtStart=true] whether there are more items to load at the start of the list
+ * @property {boolean} [hasMoreAtEnd=true] whether there are more items to load at the end of the list
+ * @property {VirtualListHelper~LoadingIndicatorRenderFunction} [onLoadingIndicatorRender] a function for rendering a loading indicator, shown at an end of the list while loading more items there
+ * @property {number} [loadingIndicatorHeight=40] the height of the loading indicators
+ * @property {number} [maxScrollHeight=15000000] the maximum height of the scrollable area. Taller lists are scrolled in a scaled manner, as browsers limit the height of elements.
  * @property {number} [count=0] the item count
  * @property {boolean} [virtual=true] is virtual mode on?
+ * @property {'vertical'|'horizontal'} [orientation='vertical'] the scrolling axis. In horizontal mode, "heights" refer to item widths.
+ * @property {'list'|'grid'|'masonry'} [layout='list'] the layout of items. In grid layout, each row holds multiple items. In masonry layout, each item goes into the shortest column.
+ * @property {number} [columns=0] the number of columns in grid/masonry layouts. `0` to compute from `minItemWidth`.
+ * @property {number} [minItemWidth=0] the minimum item width in grid/masonry layouts, used for computing the number of columns (item height in horizontal mode).
  * @property {number} [estimatedItemHeight=20] estimated item height
  * @property {number} [buffer=5] the amount of buffer items to keep on each end of the list
  * @property {VirtualListHelper~ItemHeightEstimatorFunction} [itemHeightEstimatorFn] an optional function for providing item height estimations
+ * @property {VirtualListHelper~ItemKeyFunction} [getItemKey] an optional function for providing a unique key per item, so measurements and rendered elements follow items when they're added or removed
  * @property {VirtualListHelper~ItemElementCreatorFunction} [itemElementCreatorFn] an optional function for providing fresh item elements (default creates `<li />`s)
+ * @property {VirtualListHelper~ItemTypeFunction} [itemTypeFn] an optional function for providing the type of the item at an index. Elements are only reused for items of the same type.
+ * @property {Object<string, number>} [estimatedItemHeightByType] estimated item heights per item type, when there's an `itemTypeFn`
  * @property {VirtualListHelper~ItemRenderFunction} [onItemRender] a function for rendering element content based on item index
+ * @property {function(error: *, itemEl: Element, index: number)} [onItemRenderError] a function to be notified when an asynchronous `onItemRender` fails
  * @property {VirtualListHelper~ItemUnrenderFunction} [onItemUnrender] a function for freeing resources in an item element
+ * @property {function(itemEl: Element, index: number)} [onItemRenderPlaceholder] a function for rendering a lightweight placeholder of an item, used instead of `onItemRender` while scrolling fast
+ * @property {number} [scrollingVelocityThreshold=3000] the scroll velocity (in pixels per second) from which the list is considered scrolling fast
+ * @property {number} [scrollingIdleDelay=150] the time (in milliseconds) without fast scrolling, after which the list is not considered scrolling fast anymore
+ * @property {function(scrolling: boolean)} [onScrollingChange] a function to be notified when the list starts or stops scrolling fast
+ * @property {boolean} [keyboardNavigation=false] handle the arrow keys, Home/End and PageUp/PageDown in the list, moving the active item
+ * @property {number} [activeIndex=-1] the index of the active item
+ * @property {function(index: number)} [onActiveIndexChange] a function to be notified when the active item changes
+ * @property {'list'|'listbox'|'grid'|null} [ariaRole=null] the ARIA role of the list, for describing the full list to assistive technologies
+ * @property {'none'|'single'|'multiple'} [selectionMode='none'] the selection mode
+ * @property {number[]} [selection] the indexes of the selected items
+ * @property {string} [selectedClassName='selected'] the class name of the elements of selected items
+ * @property {function(selection: number[])} [onSelectionChange] a function to be notified when the selection changes
+ * @property {VirtualListHelper~SectionHeaderFunction} [isSectionHeaderFn] an optional function for telling which items are section headers. The header of the current section stays pinned to the top of the viewport.
  * @property {function(height: number)} [onScrollHeightChange] a function to be notified when scroll height changes
  *
  */
@@ -88,8 +195,27 @@ class VirtualListHelper {
 
       list: opts.list || null,
       hookScrollEvent: opts.hookScrollEvent === undefined ? true : !!opts.hookScrollEvent,
+      renderOnAnimationFrame: !!opts.renderOnAnimationFrame,
+
+      /** @type Element|Window|null */
+      scrollElement: opts.scrollElement || null,
+      observeItemResize: false,
+      scrollAnchoring: false,
+      stickToBottom: false,
+      alignToBottom: false,
+      stickToBottomThreshold: 1,
+      reachThreshold: 5,
+      reachThresholdPx: 0,
+      hasMoreAtStart: true,
+      hasMoreAtEnd: true,
+      loadingIndicatorHeight: 40,
+      maxScrollHeight: DefaultMaxScrollHeight,
       count: opts.count || 0,
       virtual: opts.virtual === undefined ? true : !!opts.virtual,
+      orientation: 'vertical',
+      layout: 'list',
+      columns: 0,
+      minItemWidth: 0,
       userItemsParent: opts.itemsParent || null,
       setVirtualWrapperWidth: opts.autoVirtualWrapperWidth ?? true,
       estimatedItemHeight: 20,
@@ -98,18 +224,82 @@ class VirtualListHelper {
       /** @type VirtualListHelper~ItemHeightEstimatorFunction|null */
       itemHeightEstimatorFn: null,
 
+      /** @type VirtualListHelper~ItemKeyFunction|null */
+      getItemKey: null,
+
       /** @type VirtualListHelper~ItemElementCreatorFunction|null */
       itemElementCreatorFn: defaultElementCreator,
 
+      /** @type VirtualListHelper~ItemTypeFunction|null */
+      itemTypeFn: null,
+
+      /** @type Object<string, number>|null */
+      estimatedItemHeightByType: null,
+
+      /**
+       * Unused elements per item type, kept for reuse
+       * @type Map<*, Element[]>
+       */
+      elementPools: new Map(),
+
       /** @type VirtualListHelper~ItemRenderFunction|null */
       onItemRender: null,
 
+      /** @type {function(error: *, itemEl: Element, index: number)|null} */
+      onItemRenderError: null,
+
       /** @type VirtualListHelper~ItemUnrenderFunction|null */
       onItemUnrender: null,
 
+      /** @type {function(itemEl: Element, index: number)|null} */
+      onItemRenderPlaceholder: null,
+
+      scrollingVelocityThreshold: 3000,
+      scrollingIdleDelay: 150,
+
+      /** @type {function(scrolling: boolean)|null} */
+      onScrollingChange: null,
+
+      keyboardNavigation: false,
+
+      /** @type {'list'|'listbox'|'grid'|null} */
+      ariaRole: null,
+
+      /** @type {'none'|'single'|'multiple'} */
+      selectionMode: 'none',
+
+      selectedClassName: 'selected',
+
+      /** @type {function(selection: number[])|null} */
+      onSelectionChange: null,
+
+      /** @type {function(index: number)|null} */
+      onActiveIndexChange: null,
+
+      /** @type VirtualListHelper~SectionHeaderFunction|null */
+      isSectionHeaderFn: null,
+
       /** @type {function(height: number)|null} */
       onScrollHeightChange: null,
 
+      /** @type {function(stuck: boolean)|null} */
+      onStickToBottomChange: null,
+
+      /** @type VirtualListHelper~VisibleRangeChangeFunction|null */
+      onVisibleRangeChange: null,
+
+      /** @type VirtualListHelper~ReachEdgeFunction|null */
+      onReachStart: null,
+
+      /** @type VirtualListHelper~ReachEdgeFunction|null */
+      onReachEnd: null,
+
+      /** @type {function(error: *, edge: 'start'|'end')|null} */
+      onLoadMoreError: null,
+
+      /** @type VirtualListHelper~LoadingIndicatorRenderFunction|null */
+      onLoadingIndicatorRender: null,
+
       // internal:
 
       /** @type Element|null */
@@ -118,20 +308,191 @@ class VirtualListHelper {
       /** @type Element|null */
       currentItemsParent: null,
 
+      /** @type boolean */
+      isRtl: false,
+
+      /** @type number */
+      lanes: 1,
+
+      /** @type number */
+      itemsPerRow: 1,
+
+      /**
+       * The cross size of a lane that item heights were measured at, when items are laid out in lanes
+       * @type number|null
+       */
+      laneSize: null,
+
+      /**
+       * Heights by index that were imported while there were no items yet
+       * @type VirtualListHelper~MeasurementsSnapshot|null
+       */
+      pendingMeasurements: null,
+
       /** @type {(number|undefined)[]} */
       cachedItemHeights: [],
 
       /** @type {(number|undefined)[]} */
       cachedItemEstimatedHeights: [],
 
-      /** @type {(number|undefined)[]} */
+      /**
+       * Measured heights by item key, which survive changes to the indexes
+       * @type Map<*, number>
+       */
+      cachedKeyHeights: new Map(),
+
+      /**
+       * Item positions, in masonry layout
+       * @type {(number|undefined)[]}
+       */
       cachedItemPositions: [],
 
+      /**
+       * Row heights as summed in `rowHeightsTree`, in list and grid layouts
+       * @type {(number|undefined)[]}
+       */
+      cachedRowHeights: [],
+
+      /**
+       * A Fenwick tree of the row heights (1-based), for updating a height and looking up a position
+       *   in logarithmic time, in list and grid layouts
+       * @type {number[]}
+       */
+      rowHeightsTree: [0],
+
+      /** @type {(number|undefined)[]} */
+      cachedItemLanes: [],
+
+      /** @type {(number|undefined)[]} */
+      cachedItemMaxBottoms: [],
+
       /** @type number */
       itemPositionsNeedsUpdate: 0,
 
       /** @type function */
-      boundRender: this.render.bind(this),
+      boundOnScroll: this._onScroll.bind(this),
+
+      /** @type function */
+      boundOnKeyDown: this._onKeyDown.bind(this),
+
+      /** @type function */
+      boundOnClick: this._onClick.bind(this),
+
+      /**
+       * The indexes of the selected items
+       * @type Set<number>
+       */
+      selection: new Set(),
+
+      /**
+       * The index from which ranges are selected, which is the last item that was selected by itself
+       * @type number
+       */
+      selectionAnchor: -1,
+
+      /**
+       * Whether the list was made focusable by the keyboard navigation
+       * @type boolean
+       */
+      addedListTabIndex: false,
+
+      /** @type number */
+      activeIndex: -1,
+
+      /** @type Object|null */
+      activeIndexToken: null,
+
+      /**
+       * The animation frame request of a scheduled render
+       * @type number|null
+       */
+      renderFrameRequest: null,
+
+      /** @type ResizeObserver|null */
+      resizeObserver: null,
+
+      /** @type Object|null */
+      scrollToIndexToken: null,
+
+      /** @type {{index: number, pos: number}|null} */
+      scrollAnchor: null,
+
+      /**
+       * The difference between the scroll position and the native one, in scaled-scroll mode,
+       *   by which the elements are positioned relative to the native scroll position
+       * @type number
+       */
+      scrollShift: 0,
+
+      /**
+       * A scroll position that was set exactly, for as long as the native scroll position remains the same,
+       *   as the native scroll position is less accurate in scaled-scroll mode
+       * @type {{nativePos: number, pos: number}|null}
+       */
+      scaledScrollPin: null,
+
+      /** @type boolean */
+      stuckToBottom: false,
+
+      /** @type boolean */
+      isScrolling: false,
+
+      /**
+       * The last scroll position that was seen by the scroll events, for measuring the scroll velocity
+       * @type {{pos: number, time: number}|null}
+       */
+      lastScrollSample: null,
+
+      /** @type number|null */
+      scrollingIdleTimer: null,
+
+      /**
+       * The scroll position at the end of the last render, for detecting user scrolling
+       * @type number|null
+       */
+      lastScrollPos: null,
+
+      /** @type number */
+      contentOffset: 0,
+
+      /** @type VirtualListHelper~VisibleRange|null */
+      lastVisibleRange: null,
+
+      /** @type boolean */
+      loadingAtStart: false,
+
+      /** @type boolean */
+      loadingAtEnd: false,
+
+      /**
+       * Identifies the current generation of loading calls, so results arriving after `invalidate()` or `destroy()` are ignored
+       * @type Object|null
+       */
+      loadingToken: {},
+
+      /** @type Element|null */
+      loadingStartEl: null,
+
+      /** @type Element|null */
+      loadingEndEl: null,
+
+      /**
+       * For each index, the index of the section header it belongs to (or -1), memoized
+       * @type {(number|undefined)[]}
+       */
+      cachedSectionHeaderIndexes: [],
+
+      /** @type number */
+      stickyHeaderIndex: -1,
+
+      /** @type Element|null */
+      stickyHeaderEl: null,
+
+      /**
+       * Elements that stay rendered outside the rendered range, by item index
+       * @type Map<number, Element>
+       */
+      retainedEls: new Map(),
 
       /** @type Element[] */
       existingEls: [],
@@ -144,9 +505,36 @@ class VirtualListHelper {
     if (typeof opts.count === 'number')
       this.setCount(opts.count);
 
+    if (typeof opts.observeItemResize === 'boolean')
+      this.setObserveItemResize(opts.observeItemResize);
+
+    if (typeof opts.scrollAnchoring === 'boolean')
+      this.setScrollAnchoring(opts.scrollAnchoring);
+
+    if (typeof opts.stickToBottom === 'boolean')
+      this.setStickToBottom(opts.stickToBottom);
+
+    if (typeof opts.alignToBottom === 'boolean')
+      this.setAlignToBottom(opts.alignToBottom);
+
+    if (typeof opts.stickToBottomThreshold === 'number')
+      this.setStickToBottomThreshold(opts.stickToBottomThreshold);
+
     if (typeof opts.virtual === 'boolean')
       this.setVirtual(opts.virtual);
 
+    if (typeof opts.orientation === 'string')
+      this.setOrientation(opts.orientation);
+
+    if (typeof opts.layout === 'string')
+      this.setLayout(opts.layout);
+
+    if (typeof opts.columns === 'number')
+      this.setColumns(opts.columns);
+
+    if (typeof opts.minItemWidth === 'number')
+      this.setMinItemWidth(opts.minItemWidth);
+
     if (typeof opts.estimatedItemHeight === 'number')
       this.setEstimatedItemHeight(opts.estimatedItemHeight);
 
@@ -156,24 +544,132 @@ class VirtualListHelper {
     if (typeof opts.itemHeightEstimatorFn === 'function')
       this.setItemHeightEstimatorFn(opts.itemHeightEstimatorFn);
 
+    if (typeof opts.getItemKey === 'function')
+      this.setGetItemKey(opts.getItemKey);
+
     if (typeof opts.itemElementCreatorFn === 'function')
       this.setItemElementCreatorFn(opts.itemElementCreatorFn);
 
+    if (typeof opts.itemTypeFn === 'function')
+      this.setItemTypeFn(opts.itemTypeFn);
+
+    if (opts.estimatedItemHeightByType && typeof opts.estimatedItemHeightByType === 'object')
+      this.setEstimatedItemHeightByType(opts.estimatedItemHeightByType);
+
     if (typeof opts.onItemRender === 'function')
       this.setOnItemRender(opts.onItemRender);
 
+    if (typeof opts.onItemRenderError === 'function')
+      this.setOnItemRenderError(opts.onItemRenderError);
+
     if (typeof opts.onItemUnrender === 'function')
       this.setOnItemUnrender(opts.onItemUnrender);
 
+    if (typeof opts.onItemRenderPlaceholder === 'function')
+      this.setOnItemRenderPlaceholder(opts.onItemRenderPlaceholder);
+
+    if (typeof opts.scrollingVelocityThreshold === 'number')
+      this.setScrollingVelocityThreshold(opts.scrollingVelocityThreshold);
+
+    if (typeof opts.scrollingIdleDelay === 'number')
+      this.setScrollingIdleDelay(opts.scrollingIdleDelay);
+
+    if (typeof opts.onScrollingChange === 'function')
+      this.setOnScrollingChange(opts.onScrollingChange);
+
+    if (typeof opts.keyboardNavigation === 'boolean')
+      this.setKeyboardNavigation(opts.keyboardNavigation);
+
+    if (typeof opts.onActiveIndexChange === 'function')
+      this.setOnActiveIndexChange(opts.onActiveIndexChange);
+
+    if (typeof opts.activeIndex === 'number')
+      this._setActiveIndex(opts.activeIndex);
+
+    if (typeof opts.ariaRole === 'string')
+      this.setAriaRole(opts.ariaRole);
+
+    if (typeof opts.selectedClassName === 'string')
+      this.setSelectedClassName(opts.selectedClassName);
+
+    if (typeof opts.onSelectionChange === 'function')
+      this.setOnSelectionChange(opts.onSelectionChange);
+
+    if (typeof opts.selectionMode === 'string')
+      this.setSelectionMode(opts.selectionMode);
+
+    if (Array.isArray(opts.selection))
+      this.setSelection(opts.selection);
+
+    if (typeof opts.isSectionHeaderFn === 'function')
+      this.setIsSectionHeaderFn(opts.isSectionHeaderFn);
+
     if (typeof opts.onScrollHeightChange === 'function')
       this.setOnScrollHeightChange(opts.onScrollHeightChange);
+
+    if (typeof opts.onStickToBottomChange === 'function')
+      this.setOnStickToBottomChange(opts.onStickToBottomChange);
+
+    if (typeof opts.onVisibleRangeChange === 'function')
+      this.setOnVisibleRangeChange(opts.onVisibleRangeChange);
+
+    if (typeof opts.onReachStart === 'function')
+      this.setOnReachStart(opts.onReachStart);
+
+    if (typeof opts.onReachEnd === 'function')
+      this.setOnReachEnd(opts.onReachEnd);
+
+    if (typeof opts.onLoadMoreError === 'function')
+      this.setOnLoadMoreError(opts.onLoadMoreError);
+
+    if (typeof opts.reachThreshold === 'number')
+      this.setReachThreshold(opts.reachThreshold);
+
+    if (typeof opts.reachThresholdPx === 'number')
+      this.setReachThresholdPx(opts.reachThresholdPx);
+
+    if (typeof opts.hasMoreAtStart === 'boolean')
+      this.setHasMoreAtStart(opts.hasMoreAtStart);
+
+    if (typeof opts.hasMoreAtEnd === 'boolean')
+      this.setHasMoreAtEnd(opts.hasMoreAtEnd);
+
+    if (typeof opts.onLoadingIndicatorRender === 'function')
+      this.setOnLoadingIndicatorRender(opts.onLoadingIndicatorRender);
+
+    if (typeof opts.loadingIndicatorHeight === 'number')
+      this.setLoadingIndicatorHeight(opts.loadingIndicatorHeight);
+
+    if (typeof opts.maxScrollHeight === 'number')
+      this.setMaxScrollHeight(opts.maxScrollHeight);
   }
 
   /**
    * Clean up and free up all resources.
    */
   destroy() {
+    this._removeAriaAttributes();
+    this._removeSelectionAttributes();
     this._unhookEvents().invalidate()._destroyElements();
+
+    const p = this._p;
+    p.observeItemResize = false;
+    if (p.resizeObserver) {
+      p.resizeObserver.disconnect();
+      p.resizeObserver = null;
+    }
+
+    p.scrollToIndexToken = null;
+    p.loadingToken = null;
+    p.activeIndexToken = null;
+
+    this._cancelScheduledRender();
+
+    if (p.scrollingIdleTimer !== null) {
+      clearTimeout(p.scrollingIdleTimer);
+      p.scrollingIdleTimer = null;
+    }
+    p.isScrolling = false;
   }
 
   /**
@@ -204,830 +700,3926 @@ class VirtualListHelper {
   }
 
   /**
-   * Sets the list item count. <br />
-   * You should probably call `render()` after this.
-   * @param {number} count
+   * Sets whether scroll events should render once per animation frame (using `scheduleRender()`),
+   *   instead of rendering for every event, which may fire several times per frame on high-frequency input devices.
+   * @param {boolean} enabled
    * @returns {VirtualListHelper}
    */
-  setCount(count) {
+  setRenderOnAnimationFrame(enabled) {
     const p = this._p;
-    p.count = count;
-
-    return this.invalidate();
+    p.renderOnAnimationFrame = !!enabled;
+    return this;
   }
 
   /**
-   * @returns {number} current item count
+   * @returns {boolean} whether scroll events render once per animation frame
    */
-  getCount() {
+  isRenderOnAnimationFrameEnabled() {
     const p = this._p;
-    return p.count;
+    return p.renderOnAnimationFrame;
   }
 
   /**
-   * Switches between virtual and non-virtual mode. <br />
-   * The list is invalidated automatically. <br />
-   * You should call `render()` to update the view.
-   * @param {boolean} enabled
+   * Sets the element that scrolls the list, if it's not the list itself. <br />
+   * This can be `window` (for lists in a scrolling document), or any ancestor of the list. <br />
+   * The visible part of the list is then derived from the scroll element's viewport and the list's offset inside it,
+   *   and the scroll and resize events are hooked on the scroll element.
+   * @param {Element|Window|null} scrollElement
    * @returns {VirtualListHelper}
    */
-  setVirtual(enabled) {
+  setScrollElement(scrollElement) {
     const p = this._p;
-    enabled = enabled === undefined ? true : !!enabled;
+    scrollElement = scrollElement || null;
 
-    if (p.virtual === enabled)
+    if (p.scrollElement === scrollElement)
       return this;
 
-    p.virtual = enabled;
-
-    this._hookEvents().invalidate()._destroyElements();
+    this._unhookEvents();
+    p.scrollElement = scrollElement;
+    this._hookEvents();
 
     return this;
   }
 
   /**
-   * @returns {boolean} virtual mode
+   * @returns {Element|Window|null} the element that scrolls the list, if it's not the list itself
    */
-  isVirtual() {
+  getScrollElement() {
     const p = this._p;
-    return p.virtual;
+    return p.scrollElement;
   }
 
   /**
-   * Sets estimated item height. <br />
-   * No need to be accurate. <br />
-   * The better the estimation - the better the scrollbar behavior will be. <br />
-   * Applicable for virtual-mode only. <br />
-   * You should `invalidate` if you want this to take effect on the existing rendering.
-   * @param {number} height - a positive number representing estimated item height.
+   * Sets whether rendered items should be re-measured automatically when their size changes. <br />
+   * This watches every rendered item element with a `ResizeObserver`,
+   *   so async content changes (i.e. images loading) do not require an explicit `invalidatePositions()`. <br />
+   * Applicable for virtual-mode only.
+   * @param {boolean} enabled
    * @returns {VirtualListHelper}
    */
-  setEstimatedItemHeight(height) {
+  setObserveItemResize(enabled) {
     const p = this._p;
-    p.estimatedItemHeight = Math.abs((typeof height === 'number' ? height : Number(height)) || 20);
+    enabled = !!enabled && typeof ResizeObserver !== 'undefined';
+
+    if (p.observeItemResize === enabled)
+      return this;
+
+    p.observeItemResize = enabled;
+
+    if (enabled) {
+      p.resizeObserver = new ResizeObserver(entries => this._onItemsResized(entries));
+
+      if (p.virtualWrapper) {
+        for (let el of p.existingEls)
+          p.resizeObserver.observe(el);
+      }
+    } else if (p.resizeObserver) {
+      p.resizeObserver.disconnect();
+      p.resizeObserver = null;
+    }
+
     return this;
   }
 
   /**
-   * @returns {number} current item height estimation
+   * @returns {boolean} whether rendered items are re-measured automatically when their size changes
    */
-  getEstimatedItemHeight() {
+  isObserveItemResizeEnabled() {
     const p = this._p;
-    return p.estimatedItemHeight;
+    return p.observeItemResize;
   }
 
   /**
-   * Sets whether the virtual wrapper width should be set automatically. <br />
+   * Sets whether scroll anchoring is enabled. <br />
+   * When enabled, the first fully visible item is kept in place on screen,
+   *   when items before it change size (i.e. estimations replaced by measurements), or are inserted/removed. <br />
+   * This also disables the browser's native scroll anchoring on the list, to avoid conflicts. <br />
+   * Applicable for virtual-mode only.
    * @param {boolean} enabled
    * @returns {VirtualListHelper}
    */
-  setAutoVirtualWrapperWidth(enabled) {
+  setScrollAnchoring(enabled) {
     const p = this._p;
-    p.autoVirtualWrapperWidth = enabled === undefined ? true : !!enabled;
+    p.scrollAnchoring = !!enabled;
+    p.scrollAnchor = null;
 
-    if (p.virtualWrapper) {
-      if (p.autoVirtualWrapperWidth !== p.virtualWrapperWidthWasSet) {
-        p.virtualWrapper.style.width = p.autoVirtualWrapperWidth ? '100%' : '';
-        p.virtualWrapperWidthWasSet = p.autoVirtualWrapperWidth;
-      }
-    }
+    this._updateOverflowAnchor();
 
     return this;
   }
 
   /**
-   * @returns {boolean} whether the virtual wrapper width should be set automatically
+   * @returns {boolean} whether scroll anchoring is enabled
    */
-  isAutoVirtualWrapperWidth() {
+  isScrollAnchoringEnabled() {
     const p = this._p;
-    return p.autoVirtualWrapperWidth;
+    return p.scrollAnchoring;
   }
 
   /**
-   * Sets the amount of buffer items to keep on each end of the list. <br />
+   * Sets whether the list should stick to the bottom, i.e. for chat/messaging UIs. <br />
+   * When enabled, the list starts scrolled to the bottom, and stays there when items are added
+   *   while the user is already at the bottom. <br />
+   * Scroll anchoring is implied, so the viewport stays still when older items are prepended with `addItemsAt(n, 0)`. <br />
+   * In horizontal mode, the "bottom" is the end of the list. <br />
    * Applicable for virtual-mode only.
-   * @param {number} buffer - a positive value representing the count of buffer items for each end.
+   * @param {boolean} enabled
    * @returns {VirtualListHelper}
    */
-  setBuffer(buffer) {
+  setStickToBottom(enabled) {
     const p = this._p;
-    p.buffer = Math.abs(typeof buffer === 'number' ? buffer : (Number(buffer) || 5));
+    enabled = !!enabled;
+
+    if (p.stickToBottom === enabled)
+      return this;
+
+    p.stickToBottom = enabled;
+    p.stuckToBottom = enabled;
+    p.lastScrollPos = null;
+    p.scrollAnchor = null;
+
+    this._updateOverflowAnchor();
+
     return this;
   }
 
   /**
-   * @returns {number} current buffer value
+   * @returns {boolean} whether the list should stick to the bottom
    */
-  getBuffer() {
+  isStickToBottomEnabled() {
     const p = this._p;
-    return p.buffer;
+    return p.stickToBottom;
   }
 
   /**
-   * The `itemHeightEstimatorFn` is an alternative to `estimatedItemHeight` to give better estimations for specific item. <br/>
-   * It's optional, and if it's present - it should return either a numeric height estimation,
-   *   or `undefined` to fall back to the default estimation. <br />
-   * You should `invalidate` if you want this to take effect on the existing rendering.
-   * @param {VirtualListHelper~ItemHeightEstimatorFunction} fn
+   * Sets whether the content of short lists should be aligned to the bottom of the viewport. <br />
+   * Applicable for virtual-mode only. <br />
+   * You should call `render()` to update the view.
+   * @param {boolean} enabled
    * @returns {VirtualListHelper}
    */
-  setItemHeightEstimatorFn(fn) {
+  setAlignToBottom(enabled) {
     const p = this._p;
-    p.itemHeightEstimatorFn = fn;
+    p.alignToBottom = !!enabled;
     return this;
   }
 
   /**
-   * The `itemElementCreatorFn` is a function creating a basic item element, that will be possibly reused later. <br />
-   * It has no association with a specific item index. <br />
-   * You should `invalidate` if you want this to take effect on the existing rendering.
-   * @param {VirtualListHelper~ItemElementCreatorFunction} fn
-   * @returns {VirtualListHelper}
+   * @returns {boolean} whether the content of short lists is aligned to the bottom of the viewport
    */
-  setItemElementCreatorFn(fn) {
+  isAlignToBottomEnabled() {
     const p = this._p;
-    p.itemElementCreatorFn = fn || defaultElementCreator;
-    return this;
+    return p.alignToBottom;
   }
 
   /**
-   * The `onItemRender` is a function called for rendering the contents of an item. <br />
-   * It's passed an `Element` and an item index. <br />
-   * You should `invalidate` if you want this to take effect on the existing rendering.
-   * @param {VirtualListHelper~ItemRenderFunction} fn
+   * Sets the distance from the bottom (in pixels) that is still considered "at the bottom".
+   * @param {number} threshold
    * @returns {VirtualListHelper}
    */
-  setOnItemRender(fn) {
+  setStickToBottomThreshold(threshold) {
     const p = this._p;
-    p.onItemRender = fn;
+    p.stickToBottomThreshold = Math.abs(Number(threshold) || 0);
     return this;
   }
 
   /**
-   * The `onItemUnrender` is a function called for freeing resources in an item element,
-   *   if you've attached something that needs to be explicitly freed. <br />
-   * It's passed an `Element` only, and has no association with a specific index,
-   *   as by the time it's called - the indexes are probably not valid anymore.
-   * @param {VirtualListHelper~ItemUnrenderFunction} fn
-   * @returns {VirtualListHelper}
+   * @returns {number} the distance from the bottom that is still considered "at the bottom"
    */
-  setOnItemUnrender(fn) {
+  getStickToBottomThreshold() {
     const p = this._p;
-    p.onItemUnrender = fn;
-    return this;
+    return p.stickToBottomThreshold;
   }
 
   /**
-   * The `onScrollHeightChange` is a function called when the scroll height changes.
-   * @param {function(height: number)} fn
+   * Tests whether the list is currently scrolled to the bottom (within `stickToBottomThreshold`).
+   * @returns {boolean}
+   */
+  isAtBottom() {
+    const p = this._p;
+    return this._getScrollPosition() + this._getViewportSize() >= this.estimateFullHeight() - p.stickToBottomThreshold;
+  }
+
+  /**
+   * Sets the distance (in items) from either end of the list that triggers `onReachStart`/`onReachEnd`. <br />
+   * This is measured from the rendered range, which includes the buffer.
+   * @param {number} threshold
    * @returns {VirtualListHelper}
    */
-  setOnScrollHeightChange(fn) {
+  setReachThreshold(threshold) {
     const p = this._p;
-    p.onScrollHeightChange = fn;
+    p.reachThreshold = Math.max(0, Number(threshold) || 0);
     return this;
   }
 
   /**
-   * Estimates the full scroll height. This gets better as more renderings occur.
-   * @returns {number}
+   * @returns {number} the distance (in items) from either end of the list that triggers `onReachStart`/`onReachEnd`
    */
-  estimateFullHeight() {
+  getReachThreshold() {
     const p = this._p;
-
-    if (p.count === 0)
-      return 0;
-
-    if (p.virtual) {
-      return this._calculateItemPosition(p.count) || 0;
-    } else {
-      const existingEls = p.existingEls;
-      if (p.count === existingEls.length) {
-        let rect1 = existingEls[0].getBoundingClientRect();
-        let rect2 = existingEls[existingEls.length - 1].getBoundingClientRect();
-        return rect2.top - rect1.top + rect2.height;
-      }
-
-      return this._calculateItemPosition(p.count) || 0;
-    }
+    return p.reachThreshold;
   }
 
   /**
-   * States that the cached positions/heights are invalid,
-   *   and needs to be completely re-calculated.<br />
-   * You should probably call `render()` after this.
+   * Sets the distance (in pixels) from either end of the scrollable area that also triggers `onReachStart`/`onReachEnd`.
+   * @param {number} threshold
    * @returns {VirtualListHelper}
    */
-  invalidatePositions() {
+  setReachThresholdPx(threshold) {
     const p = this._p;
+    p.reachThresholdPx = Math.max(0, Number(threshold) || 0);
+    return this;
+  }
 
-    p.itemPositionsNeedsUpdate = 0;
-    p.cachedItemHeights = [];
-    p.cachedItemEstimatedHeights = [];
-    p.cachedItemPositions = [];
-    p.cachedItemHeights.length = p.count;
-    p.cachedItemEstimatedHeights.length = p.count;
-    p.cachedItemPositions.length = p.count;
+  /**
+   * @returns {number} the distance (in pixels) from either end of the scrollable area that also triggers `onReachStart`/`onReachEnd`
+   */
+  getReachThresholdPx() {
+    const p = this._p;
+    return p.reachThresholdPx;
+  }
 
+  /**
+   * Sets whether there are more items to load at the start of the list. <br />
+   * This is set to `false` automatically when `onReachStart` resolves with `0`.
+   * @param {boolean} hasMore
+   * @returns {VirtualListHelper}
+   */
+  setHasMoreAtStart(hasMore) {
+    const p = this._p;
+    p.hasMoreAtStart = !!hasMore;
     return this;
   }
 
   /**
-   * States that the indexes/item count/rendered content are invalid,
-   *   and needs to be completely re-calculated and re-rendered. <br />
-   * You should probably call `render()` after this.
+   * @returns {boolean} whether there are more items to load at the start of the list
+   */
+  hasMoreAtStart() {
+    const p = this._p;
+    return p.hasMoreAtStart;
+  }
+
+  /**
+   * Sets whether there are more items to load at the end of the list. <br />
+   * This is set to `false` automatically when `onReachEnd` resolves with `0`.
+   * @param {boolean} hasMore
    * @returns {VirtualListHelper}
    */
-  invalidate() {
+  setHasMoreAtEnd(hasMore) {
     const p = this._p;
+    p.hasMoreAtEnd = !!hasMore;
+    return this;
+  }
 
-    this.invalidatePositions();
+  /**
+   * @returns {boolean} whether there are more items to load at the end of the list
+   */
+  hasMoreAtEnd() {
+    const p = this._p;
+    return p.hasMoreAtEnd;
+  }
 
-    if (!p.virtual) {
-      this._destroyElements();
-    }
+  /**
+   * @returns {boolean} whether `onReachStart` was called and has not completed yet
+   */
+  isLoadingAtStart() {
+    const p = this._p;
+    return p.loadingAtStart;
+  }
 
-    for (let el of p.existingEls)
-      delete el[ItemIndexSymbol];
+  /**
+   * @returns {boolean} whether `onReachEnd` was called and has not completed yet
+   */
+  isLoadingAtEnd() {
+    const p = this._p;
+    return p.loadingAtEnd;
+  }
 
+  /**
+   * Sets the height of the loading indicators. <br />
+   * The indicator element is sized to this height, as it's taken into account before it's rendered.
+   * @param {number} height
+   * @returns {VirtualListHelper}
+   */
+  setLoadingIndicatorHeight(height) {
+    const p = this._p;
+    p.loadingIndicatorHeight = Math.max(0, Number(height) || 0);
     return this;
   }
 
   /**
-   * Renders the current viewport. <br />
-   * Call this after making changes to the list. <br />
-   * In virtual mode, this is called automatically for every scroll event.
+   * @returns {number} the height of the loading indicators
    */
-  render() {
+  getLoadingIndicatorHeight() {
     const p = this._p;
-    const list = p.list;
-    const virtual = p.virtual;
-    let virtualWrapper = p.virtualWrapper;
-    let itemParent = p.currentItemsParent;
-    let scrollTop = list.scrollTop;
-    let visibleHeight = list.clientHeight;
-    let visibleBottom = scrollTop + visibleHeight;
-    let count = p.count;
-    let buffer = p.buffer;
-    let onItemUnrender = p.onItemUnrender;
-    let existingEls = p.existingEls;
-    let existingCount = existingEls.length;
-
-    if (virtual) {
-      const originalWidth = list.clientWidth;
+    return p.loadingIndicatorHeight;
+  }
 
-      if (!virtualWrapper) {
-        virtualWrapper = p.virtualWrapper = p.userItemsParent;
-        if (!virtualWrapper) {
-          virtualWrapper = p.virtualWrapper = document.createElement('div');
-          list.appendChild(virtualWrapper);
-        }
+  /**
+   * Sets the maximum height of the scrollable area (width, in horizontal mode). <br />
+   * Browsers limit the height of elements (somewhere around 16-33 million pixels), so when the full height
+   *   of a virtual list exceeds this, the scrollable area is capped, and the scroll positions are scaled
+   *   to cover the full height. <br />
+   * Positions reported by the api (`getItemPosition()`, `estimateFullHeight()` etc.) are not scaled. <br />
+   * `0` to disable.
+   * @param {number} height
+   * @returns {VirtualListHelper}
+   */
+  setMaxScrollHeight(height) {
+    const p = this._p;
+    p.maxScrollHeight = Math.max(0, Number(height) || 0);
+    return this;
+  }
 
-        this._resetCurrentItemsParent();
-        itemParent = p.currentItemsParent;
+  /**
+   * @returns {number} the maximum height of the scrollable area
+   */
+  getMaxScrollHeight() {
+    const p = this._p;
+    return p.maxScrollHeight;
+  }
 
-        if (p.autoVirtualWrapperWidth) {
-          virtualWrapper.style.width = '100%';
-          p.virtualWrapperWidthWasSet = true;
-        } else {
-          p.virtualWrapperWidthWasSet = false;
-        }
-      }
+  /**
+   * Tests whether the list is currently scrolled in a scaled manner,
+   *   as its full height exceeds `maxScrollHeight`.
+   * @returns {boolean}
+   */
+  isScrollScaled() {
+    return this._getScrollScale() !== null;
+  }
 
-      // Mark all of them for potential reuse
-      for (let i = 0; i < existingCount; i++) {
-        existingEls[i][ReuseElSymbol] = true;
-      }
+  /**
+   * Sets the list item count. <br />
+   * This resets the list (see `invalidate()`) - to add loaded items, use `addItemsAt()`. <br />
+   * You should probably call `render()` after this.
+   * @param {number} count
+   * @returns {VirtualListHelper}
+   */
+  setCount(count) {
+    const p = this._p;
+    p.count = count;
 
-      // Make sure we have at least estimated positions for all items so we can translate scroll position
-      this._calculateItemPosition(p.count - 1);
+    if (p.activeIndex >= count)
+      this._setActiveIndex(count - 1);
 
-      // Find existing elements index range
-      let existingRange = this._getExistingElsRange();
+    this._mapSelection(x => x < count ? x : -1);
 
-      // Find first visible element
-      let firstVisibleIndex = binarySearchPosition(p.cachedItemPositions, scrollTop);
-      let firstRenderIndex = Math.max(0, firstVisibleIndex - buffer);
+    this.invalidate();
 
-      // Iterate over viewport
-      let index = firstRenderIndex;
-      let renderPos = this._calculateItemPosition(index);
-      let bufferEnd = buffer;
+    if (p.pendingMeasurements && count > 0) {
+      const snapshot = p.pendingMeasurements;
+      p.pendingMeasurements = null;
+      this.importMeasurements(snapshot);
+    }
 
-      // we want to render until viewport's bottom + buffer items
-      let maxIndexToRender = Math.max(index, binarySearchPosition(p.cachedItemPositions, visibleBottom - 1) + 1 + buffer);
+    return this;
+  }
 
-      let insertedItems = [];
+  /**
+   * @returns {number} current item count
+   */
+  getCount() {
+    const p = this._p;
+    return p.count;
+  }
 
-      /** @type DocumentFragment|null */
-      let fragment = null;
+  /**
+   * Switches between virtual and non-virtual mode. <br />
+   * The list is invalidated automatically. <br />
+   * You should call `render()` to update the view.
+   * @param {boolean} enabled
+   * @returns {VirtualListHelper}
+   */
+  setVirtual(enabled) {
+    const p = this._p;
+    enabled = enabled === undefined ? true : !!enabled;
 
-      // Find the element to insert before
-      let before = virtualWrapper.childNodes[0];
+    if (p.virtual === enabled)
+      return this;
 
-      const findElementToReuse = function (index) {
-        // Find existing element to reuse
-        /** @type Element|undefined */
-        let existingEl = undefined;
+    p.virtual = enabled;
 
-        if (existingRange.firstIndex !== -1 && index >= existingRange.firstIndex && index <= existingRange.lastIndex) {
-          existingEl = existingEls.find(x => x[ItemIndexSymbol] === index && x[ReuseElSymbol] === true);
-        }
+    this._hookEvents().invalidate()._destroyElements();
 
-        if (existingEl === undefined) {
-          existingEl = ((existingRange.firstIndex < firstRenderIndex || existingRange.firstValidArrayIndex > 0)
-                  ? existingEls.find((x) =>
-                      (x[ItemIndexSymbol] < firstRenderIndex || false === hasOwnProperty.call(x, ItemIndexSymbol))
-                      && x[ReuseElSymbol] === true)
-                  : undefined
-          ) || findLast(existingEls, (x) => x[ReuseElSymbol] === true);
-        }
+    return this;
+  }
 
-        if (existingEl !== undefined) {
-          delete existingEl[ReuseElSymbol];
-        }
+  /**
+   * @returns {boolean} virtual mode
+   */
+  isVirtual() {
+    const p = this._p;
+    return p.virtual;
+  }
 
-        return existingEl;
-      };
+  /**
+   * Sets the scrolling axis. <br />
+   * In horizontal mode, the list is virtualized on `scrollLeft`/`clientWidth`,
+   *   and all "height" related apis refer to item widths. RTL containers are supported. <br />
+   * The list is invalidated automatically. <br />
+   * You should call `render()` to update the view.
+   * @param {'vertical'|'horizontal'} orientation
+   * @returns {VirtualListHelper}
+   */
+  setOrientation(orientation) {
+    const p = this._p;
+    orientation = orientation === 'horizontal' ? 'horizontal' : 'vertical';
 
-      // First we iterate and try to add all at once in a fragment, as much as we can.
-      // And then reflow the at once.
-      for (; index < count && index < maxIndexToRender; index++) {
-        let existingEl = findElementToReuse(index);
+    if (p.orientation === orientation)
+      return this;
 
-        if (before && before === existingEl)
-          before = before.nextSibling;
+    if (p.virtualWrapper && p.virtualWrapper === p.userItemsParent) {
+      p.virtualWrapper.style.width = '';
+      p.virtualWrapper.style.height = '';
+    }
 
-        // Dequeue the element by reusing or creating a new one
-        const itemEl = this._dequeueElementForIndex(existingEl, index, before, true);
-        insertedItems.push([itemEl, index]);
+    p.orientation = orientation;
 
-        fragment = insertBeforeWithFragment(itemEl, fragment, before, itemParent);
-      }
+    this.invalidate()._destroyElements();
 
-      // Insert any remaining fragment
-      if (fragment && fragment.childNodes.length > 0) {
-        insertBefore(fragment, before, itemParent);
-      }
+    return this;
+  }
 
-      // Iterate on inserted items and reflow them
-      for (let item of insertedItems) {
-        const index = item[1];
-        this._insertItemAndFlow(item[0], index, false /* inserted already */);
-        renderPos = p.cachedItemPositions[index] + p.cachedItemHeights[index];
-      }
+  /**
+   * @returns {'vertical'|'horizontal'} current scrolling axis
+   */
+  getOrientation() {
+    const p = this._p;
+    return p.orientation;
+  }
 
-      // See if we still need to insert more items
-      if (renderPos < visibleBottom) {
-        for (; (renderPos < visibleBottom || bufferEnd-- > 0) && index < count; index++) {
-          let existingEl = findElementToReuse(index);
+  /**
+   * Sets the layout of items. <br />
+   * In grid layout, each row holds multiple items, either from a fixed `columns` value,
+   *   or computed from the container width and `minItemWidth`. <br />
+   * In masonry layout, each item goes into the shortest of the columns. <br />
+   * Applicable for virtual-mode only. <br />
+   * The list is invalidated automatically. <br />
+   * You should call `render()` to update the view.
+   * @param {'list'|'grid'|'masonry'} layout
+   * @returns {VirtualListHelper}
+   */
+  setLayout(layout) {
+    const p = this._p;
+    layout = (layout === 'grid' || layout === 'masonry') ? layout : 'list';
 
-          if (before && before === existingEl)
-            before = before.nextSibling;
+    if (p.layout === layout)
+      return this;
 
-          // Dequeue the element by reusing or creating a new one
-          this._dequeueElementForIndex(existingEl, index, before, false);
+    p.layout = layout;
 
-          // Increment pointers
-          renderPos = p.cachedItemPositions[index] + p.cachedItemHeights[index];
-        }
-      }
+    this.invalidate()._destroyElements()._updateLanes();
 
-      // Calculate up-to-date scroll height
-      let scrollHeight = this.estimateFullHeight();
-      let scrollHeightPx = scrollHeight + 'px';
+    return this;
+  }
 
-      if (virtualWrapper.style.height !== scrollHeightPx) {
-        p.virtualWrapper.style.height = scrollHeightPx;
-        p.onScrollHeightChange?.(scrollHeight);
-      }
+  /**
+   * @returns {'list'|'grid'|'masonry'} current layout
+   */
+  getLayout() {
+    const p = this._p;
+    return p.layout;
+  }
 
-      if (originalWidth !== list.clientWidth)
-        this.render();
-    } else { // non-virtual
-      if (count !== existingEls.length) {
-        for (let i = 0; i < existingCount; i++) {
-          existingEls[i][ReuseElSymbol] = true;
-        }
+  /**
+   * Sets the number of columns in grid/masonry layouts. <br />
+   * Pass `0` to compute it from the container width and `minItemWidth`. <br />
+   * You should call `render()` to update the view.
+   * @param {number} columns
+   * @returns {VirtualListHelper}
+   */
+  setColumns(columns) {
+    const p = this._p;
+    p.columns = Math.max(0, Math.floor(Number(columns) || 0));
+    this._updateLanes();
+    return this;
+  }
+
+  /**
+   * @returns {number} the configured number of columns in grid/masonry layouts
+   */
+  getColumns() {
+    const p = this._p;
+    return p.columns;
+  }
+
+  /**
+   * Sets the minimum item width in grid/masonry layouts (item height in horizontal mode). <br />
+   * Used for computing the number of columns, when `columns` is not set. <br />
+   * You should call `render()` to update the view.
+   * @param {number} width
+   * @returns {VirtualListHelper}
+   */
+  setMinItemWidth(width) {
+    const p = this._p;
+    p.minItemWidth = Math.max(0, Number(width) || 0);
+    this._updateLanes();
+    return this;
+  }
+
+  /**
+   * @returns {number} the minimum item width in grid/masonry layouts
+   */
+  getMinItemWidth() {
+    const p = this._p;
+    return p.minItemWidth;
+  }
+
+  /**
+   * Retrieves the effective number of columns. <br />
+   * This is always `1` in list layout.
+   * @returns {number}
+   */
+  getColumnCount() {
+    const p = this._p;
+    return p.lanes;
+  }
+
+  /**
+   * Retrieves the column of the item at the specified index, in grid/masonry layouts. <br />
+   * Together with `getItemPosition()`, this describes where the item is placed.
+   * @param {number} index
+   * @returns {number|undefined}
+   */
+  getItemColumn(index) {
+    const p = this._p;
+
+    if (typeof index !== 'number' || index < 0 || index >= p.count)
+      return undefined;
+
+    if (!p.virtual)
+      return 0;
+
+    return this._getItemLane(index);
+  }
+
+  /**
+   * Sets estimated item height. <br />
+   * No need to be accurate. <br />
+   * The better the estimation - the better the scrollbar behavior will be. <br />
+   * Applicable for virtual-mode only. <br />
+   * You should `invalidate` if you want this to take effect on the existing rendering.
+   * @param {number} height - a positive number representing estimated item height.
+   * @returns {VirtualListHelper}
+   */
+  setEstimatedItemHeight(height) {
+    const p = this._p;
+    p.estimatedItemHeight = Math.abs((typeof height === 'number' ? height : Number(height)) || 20);
+    return this;
+  }
+
+  /**
+   * @returns {number} current item height estimation
+   */
+  getEstimatedItemHeight() {
+    const p = this._p;
+    return p.estimatedItemHeight;
+  }
+
+  /**
+   * Sets estimated item heights per item type (as returned by `itemTypeFn`). <br />
+   * Types that are missing here are estimated by `estimatedItemHeight`. <br />
+   * Applicable for virtual-mode only. <br />
+   * You should `invalidate` if you want this to take effect on the existing rendering.
+   * @param {Object<string, number>|null} heights
+   * @returns {VirtualListHelper}
+   */
+  setEstimatedItemHeightByType(heights) {
+    const p = this._p;
+    p.estimatedItemHeightByType = heights || null;
+    return this;
+  }
+
+  /**
+   * @returns {Object<string, number>|null} estimated item heights per item type
+   */
+  getEstimatedItemHeightByType() {
+    const p = this._p;
+    return p.estimatedItemHeightByType;
+  }
+
+  /**
+   * Sets whether the virtual wrapper width should be set automatically. <br />
+   * In horizontal mode, this applies to the wrapper's height instead. <br />
+   * @param {boolean} enabled
+   * @returns {VirtualListHelper}
+   */
+  setAutoVirtualWrapperWidth(enabled) {
+    const p = this._p;
+    p.autoVirtualWrapperWidth = enabled === undefined ? true : !!enabled;
+
+    if (p.virtualWrapper) {
+      if (p.autoVirtualWrapperWidth !== p.virtualWrapperWidthWasSet) {
+        p.virtualWrapper.style[p.orientation === 'horizontal' ? 'height' : 'width'] = p.autoVirtualWrapperWidth ? '100%' : '';
+        p.virtualWrapperWidthWasSet = p.autoVirtualWrapperWidth;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * @returns {boolean} whether the virtual wrapper width should be set automatically
+   */
+  isAutoVirtualWrapperWidth() {
+    const p = this._p;
+    return p.autoVirtualWrapperWidth;
+  }
+
+  /**
+   * Sets the amount of buffer items to keep on each end of the list. <br />
+   * Applicable for virtual-mode only.
+   * @param {number} buffer - a positive value representing the count of buffer items for each end.
+   * @returns {VirtualListHelper}
+   */
+  setBuffer(buffer) {
+    const p = this._p;
+    p.buffer = Math.abs(typeof buffer === 'number' ? buffer : (Number(buffer) || 5));
+    return this;
+  }
+
+  /**
+   * @returns {number} current buffer value
+   */
+  getBuffer() {
+    const p = this._p;
+    return p.buffer;
+  }
+
+  /**
+   * The `itemHeightEstimatorFn` is an alternative to `estimatedItemHeight` to give better estimations for specific item. <br/>
+   * It's optional, and if it's present - it should return either a numeric height estimation,
+   *   or `undefined` to fall back to the default estimation. <br />
+   * You should `invalidate` if you want this to take effect on the existing rendering.
+   * @param {VirtualListHelper~ItemHeightEstimatorFunction} fn
+   * @returns {VirtualListHelper}
+   */
+  setItemHeightEstimatorFn(fn) {
+    const p = this._p;
+    p.itemHeightEstimatorFn = fn;
+    return this;
+  }
+
+  /**
+   * The `getItemKey` is a function returning a unique key for the item at an index. <br />
+   * With it, measured heights are kept per key, so they survive `invalidate()` and `setCount()`,
+   *   and `addItemsAt()`/`removeItemsAt()` move the measurements and rendered elements along with their items,
+   *   instead of re-rendering everything after the change. <br />
+   * You should `invalidate` if you want this to take effect on the existing rendering.
+   * @param {VirtualListHelper~ItemKeyFunction} fn
+   * @returns {VirtualListHelper}
+   */
+  setGetItemKey(fn) {
+    const p = this._p;
+    p.getItemKey = fn || null;
+    p.cachedKeyHeights.clear();
+    return this;
+  }
+
+  /**
+   * The `itemElementCreatorFn` is a function creating a basic item element, that will be possibly reused later. <br />
+   * It has no association with a specific item index, but it's passed the item type when there's an `itemTypeFn`. <br />
+   * You should `invalidate` if you want this to take effect on the existing rendering.
+   * @param {VirtualListHelper~ItemElementCreatorFunction} fn
+   * @returns {VirtualListHelper}
+   */
+  setItemElementCreatorFn(fn) {
+    const p = this._p;
+    p.itemElementCreatorFn = fn || defaultElementCreator;
+    p.elementPools.clear();
+    return this;
+  }
+
+  /**
+   * The `itemTypeFn` is a function returning the type of the item at an index (i.e. a template name). <br />
+   * With it, elements are only reused for items of the same type, and new elements are created by
+   *   passing the type to `itemElementCreatorFn`. <br />
+   * Elements are not cleared before re-rendering them with another item, so the structure that was created
+   *   for the type can be reused by `onItemRender`. <br />
+   * You should `invalidate` if you want this to take effect on the existing rendering.
+   * @param {VirtualListHelper~ItemTypeFunction} fn
+   * @returns {VirtualListHelper}
+   */
+  setItemTypeFn(fn) {
+    const p = this._p;
+    p.itemTypeFn = fn || null;
+    p.elementPools.clear();
+    return this;
+  }
+
+  /**
+   * The `onItemRender` is a function called for rendering the contents of an item. <br />
+   * It's passed an `Element` and an item index. <br />
+   * You should `invalidate` if you want this to take effect on the existing rendering.
+   * @param {VirtualListHelper~ItemRenderFunction} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnItemRender(fn) {
+    const p = this._p;
+    p.onItemRender = fn;
+    return this;
+  }
+
+  /**
+   * The `onItemRenderError` is a function called when the `Promise` returned by `onItemRender` rejects. <br />
+   * The element is measured as it is, like after a successful render. Renders that were aborted are not reported.
+   * @param {function(error: *, itemEl: Element, index: number)} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnItemRenderError(fn) {
+    const p = this._p;
+    p.onItemRenderError = fn;
+    return this;
+  }
+
+  /**
+   * The `onItemUnrender` is a function called for freeing resources in an item element,
+   *   if you've attached something that needs to be explicitly freed. <br />
+   * It's passed an `Element` only, and has no association with a specific index,
+   *   as by the time it's called - the indexes are probably not valid anymore.
+   * @param {VirtualListHelper~ItemUnrenderFunction} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnItemUnrender(fn) {
+    const p = this._p;
+    p.onItemUnrender = fn;
+    return this;
+  }
+
+  /**
+   * The `isSectionHeaderFn` is a function telling whether the item at an index is a section header. <br />
+   * The header of the section that the first visible item belongs to stays pinned to the top of the viewport,
+   *   and the next header pushes it away as it arrives. <br />
+   * Applicable for virtual mode and list layout only.
+   * @param {VirtualListHelper~SectionHeaderFunction} fn
+   * @returns {VirtualListHelper}
+   */
+  setIsSectionHeaderFn(fn) {
+    const p = this._p;
+    p.isSectionHeaderFn = fn;
+    p.cachedSectionHeaderIndexes = [];
+    return this;
+  }
+
+  /**
+   * The `onScrollHeightChange` is a function called when the scroll height changes.
+   * @param {function(height: number)} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnScrollHeightChange(fn) {
+    const p = this._p;
+    p.onScrollHeightChange = fn;
+    return this;
+  }
+
+  /**
+   * The `onStickToBottomChange` is a function called when the list becomes stuck to the bottom,
+   *   or when the user scrolls away from it. <br />
+   * Applicable when `stickToBottom` is enabled.
+   * @param {function(stuck: boolean)} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnStickToBottomChange(fn) {
+    const p = this._p;
+    p.onStickToBottomChange = fn;
+    return this;
+  }
+
+  /**
+   * The `onItemRenderPlaceholder` is a function rendering a lightweight placeholder of an item,
+   *   which is used instead of `onItemRender` while the list is scrolling fast. <br />
+   * Placeholders are sized by the cached (or estimated) heights of their items, and are not measured. <br />
+   * Once scrolling settles, the visible placeholders are rendered with `onItemRender`. <br />
+   * Applicable for virtual mode only.
+   * @param {function(itemEl: Element, index: number)} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnItemRenderPlaceholder(fn) {
+    const p = this._p;
+    p.onItemRenderPlaceholder = fn;
+    return this;
+  }
+
+  /**
+   * Sets the scroll velocity (in pixels per second) from which the list is considered scrolling fast.
+   * @param {number} velocity
+   * @returns {VirtualListHelper}
+   */
+  setScrollingVelocityThreshold(velocity) {
+    const p = this._p;
+    p.scrollingVelocityThreshold = Math.max(0, Number(velocity) || 0);
+    return this;
+  }
+
+  /**
+   * @returns {number} the scroll velocity from which the list is considered scrolling fast
+   */
+  getScrollingVelocityThreshold() {
+    const p = this._p;
+    return p.scrollingVelocityThreshold;
+  }
+
+  /**
+   * Sets the time (in milliseconds) without fast scrolling, after which the list is not considered scrolling fast anymore.
+   * @param {number} delay
+   * @returns {VirtualListHelper}
+   */
+  setScrollingIdleDelay(delay) {
+    const p = this._p;
+    p.scrollingIdleDelay = Math.max(0, Number(delay) || 0);
+    return this;
+  }
+
+  /**
+   * @returns {number} the time without fast scrolling, after which the list is not considered scrolling fast anymore
+   */
+  getScrollingIdleDelay() {
+    const p = this._p;
+    return p.scrollingIdleDelay;
+  }
+
+  /**
+   * The `onScrollingChange` is a function called when the list starts scrolling fast, or when it settles.
+   * @param {function(scrolling: boolean)} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnScrollingChange(fn) {
+    const p = this._p;
+    p.onScrollingChange = fn;
+    return this;
+  }
+
+  /**
+   * Tests whether the list is currently scrolling fast (by the scroll events).
+   * @returns {boolean}
+   */
+  isScrolling() {
+    const p = this._p;
+    return p.isScrolling;
+  }
+
+  /**
+   * Sets whether the list handles the keyboard for moving the active item: <br />
+   * The arrow keys along the scrolling axis (and across it, by single items, in grid/masonry layouts),
+   *   Home/End, and PageUp/PageDown by `getVisibleItemCount()`. <br />
+   * The list is made focusable if it isn't already.
+   * @param {boolean} enabled
+   * @returns {VirtualListHelper}
+   */
+  setKeyboardNavigation(enabled) {
+    const p = this._p;
+    enabled = !!enabled;
+
+    if (p.keyboardNavigation === enabled)
+      return this;
+
+    p.keyboardNavigation = enabled;
+
+    this._unhookEvents()._hookEvents();
+
+    return this;
+  }
+
+  /**
+   * @returns {boolean} whether the list handles the keyboard for moving the active item
+   */
+  isKeyboardNavigationEnabled() {
+    const p = this._p;
+    return p.keyboardNavigation;
+  }
+
+  /**
+   * Sets the ARIA role of the list, which describes the full list to assistive technologies,
+   *   although only some of the items are rendered: <br />
+   * With `'list'` or `'listbox'`, the items are `listitem`s or `option`s, with `aria-setsize` and `aria-posinset`. <br />
+   * With `'grid'`, the list has `aria-rowcount`. In list layout, the items are `row`s with `aria-rowindex`,
+   *   and their contents should be made of `gridcell`s. In grid/masonry layouts, the items are `gridcell`s,
+   *   with `aria-rowindex` and `aria-colindex` by their index and the column count (`aria-colcount` on the list). <br />
+   * The virtual wrapper is presentational, so the items belong to the list. <br />
+   * Pass `null` to leave the ARIA attributes alone.
+   * @param {'list'|'listbox'|'grid'|null} role
+   * @returns {VirtualListHelper}
+   */
+  setAriaRole(role) {
+    const p = this._p;
+    role = role && AriaItemRoles[role] ? role : null;
+
+    if (p.ariaRole === role)
+      return this;
+
+    this._removeAriaAttributes();
+    p.ariaRole = role;
+    this._updateItemAttributes();
+
+    return this;
+  }
+
+  /**
+   * @returns {'list'|'listbox'|'grid'|null} the ARIA role of the list
+   */
+  getAriaRole() {
+    const p = this._p;
+    return p.ariaRole;
+  }
+
+  /**
+   * Sets the selection mode: <br />
+   * `'single'` allows one selected item, and `'multiple'` allows any number of selected items, and ranges. <br />
+   * With a selection mode, clicking an item selects it (ctrl/cmd-click toggles it, and shift-click selects a range),
+   *   and with `keyboardNavigation`, Space toggles the active item, and Shift extends the selection while navigating. <br />
+   * Elements of selected items get the `selectedClassName`, and `aria-selected` with a `'listbox'` or `'grid'` ARIA role. <br />
+   * `'none'` clears the selection.
+   * @param {'none'|'single'|'multiple'} mode
+   * @returns {VirtualListHelper}
+   */
+  setSelectionMode(mode) {
+    const p = this._p;
+    mode = mode === 'single' || mode === 'multiple' ? mode : 'none';
+
+    if (p.selectionMode === mode)
+      return this;
+
+    this._removeSelectionAttributes();
+    p.selectionMode = mode;
+
+    if (mode === 'none') {
+      this.setSelection([]);
+      p.selectionAnchor = -1;
+    } else if (mode === 'single' && p.selection.size > 1) {
+      this.setSelection([this.getSelection()[0]]);
+    }
+
+    this._unhookEvents()._hookEvents();
+    this._updateSelectionAttributes();
+
+    return this;
+  }
+
+  /**
+   * @returns {'none'|'single'|'multiple'} the selection mode
+   */
+  getSelectionMode() {
+    const p = this._p;
+    return p.selectionMode;
+  }
+
+  /**
+   * Sets the class name of the elements of selected items.
+   * @param {string} className
+   * @returns {VirtualListHelper}
+   */
+  setSelectedClassName(className) {
+    const p = this._p;
+
+    this._removeSelectionAttributes();
+    p.selectedClassName = className || '';
+    this._updateSelectionAttributes();
+
+    return this;
+  }
+
+  /**
+   * @returns {string} the class name of the elements of selected items
+   */
+  getSelectedClassName() {
+    const p = this._p;
+    return p.selectedClassName;
+  }
+
+  /**
+   * The `onSelectionChange` is a function called when the selection changes,
+   *   including when selected items are removed.
+   * @param {function(selection: number[])} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnSelectionChange(fn) {
+    const p = this._p;
+    p.onSelectionChange = fn;
+    return this;
+  }
+
+  /**
+   * The `onActiveIndexChange` is a function called when the active item changes,
+   *   either by the keyboard, by `setActiveIndex()`, or by items being added or removed.
+   * @param {function(index: number)} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnActiveIndexChange(fn) {
+    const p = this._p;
+    p.onActiveIndexChange = fn;
+    return this;
+  }
+
+  /**
+   * The `onVisibleRangeChange` is a function called after rendering, when the range of visible or rendered items changes. <br />
+   * In non-virtual mode, this is only reported when `render()` is called.
+   * @param {VirtualListHelper~VisibleRangeChangeFunction} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnVisibleRangeChange(fn) {
+    const p = this._p;
+    p.onVisibleRangeChange = fn;
+    p.lastVisibleRange = null;
+    return this;
+  }
+
+  /**
+   * The `onReachStart` is a function called when the rendered range gets within `reachThreshold` items
+   *   (or `reachThresholdPx` pixels) of the start of the list, and there are more items to load there. <br />
+   * It's not called again until the returned `Promise` settles. <br />
+   * If it resolves with a number, that amount of items is added at the start of the list, and the list is re-rendered.
+   *   Resolving with `0` states that there are no more items to load at the start. <br />
+   * Applicable for virtual mode only.
+   * @param {VirtualListHelper~ReachEdgeFunction} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnReachStart(fn) {
+    const p = this._p;
+    p.onReachStart = fn;
+    return this;
+  }
+
+  /**
+   * The `onReachEnd` is a function called when the rendered range gets within `reachThreshold` items
+   *   (or `reachThresholdPx` pixels) of the end of the list, and there are more items to load there. <br />
+   * It's not called again until the returned `Promise` settles. <br />
+   * If it resolves with a number, that amount of items is added at the end of the list, and the list is re-rendered.
+   *   Resolving with `0` states that there are no more items to load at the end. <br />
+   * Applicable for virtual mode only.
+   * @param {VirtualListHelper~ReachEdgeFunction} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnReachEnd(fn) {
+    const p = this._p;
+    p.onReachEnd = fn;
+    return this;
+  }
+
+  /**
+   * The `onLoadMoreError` is a function called when `onReachStart`/`onReachEnd` fails (throws or rejects). <br />
+   * Loading is retried on the next render near that end of the list.
+   * @param {function(error: *, edge: 'start'|'end')} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnLoadMoreError(fn) {
+    const p = this._p;
+    p.onLoadMoreError = fn;
+    return this;
+  }
+
+  /**
+   * The `onLoadingIndicatorRender` is a function called for rendering the contents of a loading indicator. <br />
+   * It's passed an `Element` (created by `itemElementCreatorFn`) and the end of the list it's shown at. <br />
+   * When the indicator is removed, `onItemUnrender` is called for its element. <br />
+   * When set, a loading indicator is shown at an end of the list while more items are loaded there,
+   *   and it's taken into account in `estimateFullHeight()`. <br />
+   * Applicable for virtual mode only.
+   * @param {VirtualListHelper~LoadingIndicatorRenderFunction} fn
+   * @returns {VirtualListHelper}
+   */
+  setOnLoadingIndicatorRender(fn) {
+    const p = this._p;
+    p.onLoadingIndicatorRender = fn;
+    return this;
+  }
+
+  /**
+   * Estimates the full scroll height. This gets better as more renderings occur.
+   * @returns {number}
+   */
+  estimateFullHeight() {
+    const p = this._p;
+
+    if (p.virtual) {
+      return this._getItemsHeight() +
+          this._getLoadingIndicatorSize(true) +
+          this._getLoadingIndicatorSize(false);
+    }
+
+    if (p.count === 0)
+      return 0;
+
+    const existingEls = p.existingEls;
+    if (p.count === existingEls.length) {
+      let rect1 = this._getMainAxisRect(existingEls[0].getBoundingClientRect());
+      let rect2 = this._getMainAxisRect(existingEls[existingEls.length - 1].getBoundingClientRect());
+      return rect2.start - rect1.start + rect2.size;
+    }
+
+    return this._calculateItemPosition(p.count) || 0;
+  }
+
+  /**
+   * States that the cached positions/heights are invalid,
+   *   and needs to be completely re-calculated.<br />
+   * You should probably call `render()` after this.
+   * @returns {VirtualListHelper}
+   */
+  invalidatePositions() {
+    const p = this._p;
+
+    p.cachedKeyHeights.clear();
+
+    return this._resetItemPositions();
+  }
+
+  /**
+   * Clears all cached positions/heights by index.
+   * @returns {VirtualListHelper}
+   * @private
+   */
+  _resetItemPositions() {
+    const p = this._p;
+
+    p.cachedItemHeights = [];
+    p.cachedItemEstimatedHeights = [];
+    p.cachedItemHeights.length = p.count;
+    p.cachedItemEstimatedHeights.length = p.count;
+
+    return this._resetRowPositions();
+  }
+
+  /**
+   * Clears the cached positions, while keeping the item heights - for when items are arranged in different rows/lanes.
+   * @returns {VirtualListHelper}
+   * @private
+   */
+  _resetRowPositions() {
+    const p = this._p;
+
+    p.itemPositionsNeedsUpdate = 0;
+    p.cachedItemPositions = [];
+    p.cachedItemLanes = [];
+    p.cachedItemMaxBottoms = [];
+    p.cachedRowHeights = [];
+    p.rowHeightsTree = [0];
+
+    return this;
+  }
+
+  /**
+   * States that the indexes/item count/rendered content are invalid,
+   *   and needs to be completely re-calculated and re-rendered. <br />
+   * Results of `onReachStart`/`onReachEnd` calls that are still in progress are ignored. <br />
+   * You should probably call `render()` after this.
+   * @returns {VirtualListHelper}
+   */
+  invalidate() {
+    const p = this._p;
+
+    // Loads that are in progress were for the previous items
+    p.loadingToken = {};
+    p.loadingAtStart = false;
+    p.loadingAtEnd = false;
+
+    // Measurements of keyed items are still valid, wherever these items are now
+    this._resetItemPositions();
+
+    if (!p.virtual) {
+      this._destroyElements();
+    }
+
+    for (let el of p.existingEls)
+      delete el[ItemIndexSymbol];
+
+    for (let index of Array.from(p.retainedEls.keys()))
+      this._removeRetainedElement(index);
+
+    p.cachedSectionHeaderIndexes = [];
+
+    return this;
+  }
+
+  /**
+   * Renders the current viewport. <br />
+   * Call this after making changes to the list. <br />
+   * In virtual mode, this is called automatically for every scroll event.
+   */
+  render() {
+    const p = this._p;
+    const list = p.list;
+
+    // This is the render that was scheduled, if there was one
+    this._cancelScheduledRender();
+
+    const virtual = p.virtual;
+    let virtualWrapper = p.virtualWrapper;
+    let itemParent = p.currentItemsParent;
+    let horizontal = p.orientation === 'horizontal';
+
+    if (!virtualWrapper)
+      p.isRtl = getComputedStyle(list).direction === 'rtl';
+
+    let scrollTop = this._getScrollPosition();
+    let visibleHeight = this._getViewportSize();
+    let visibleBottom = scrollTop + visibleHeight;
+    let count = p.count;
+    let buffer = p.buffer;
+    let onItemUnrender = p.onItemUnrender;
+    let existingEls = p.existingEls;
+    let existingCount = existingEls.length;
+
+    if (virtual) {
+      const originalWidth = this._getListCrossSize();
+
+      if (!virtualWrapper) {
+        virtualWrapper = p.virtualWrapper = p.userItemsParent;
+        if (!virtualWrapper) {
+          virtualWrapper = p.virtualWrapper = document.createElement('div');
+          list.appendChild(virtualWrapper);
+        }
+
+        this._resetCurrentItemsParent();
+        itemParent = p.currentItemsParent;
+
+        if (p.autoVirtualWrapperWidth) {
+          virtualWrapper.style[horizontal ? 'height' : 'width'] = '100%';
+          p.virtualWrapperWidthWasSet = true;
+        } else {
+          p.virtualWrapperWidthWasSet = false;
+        }
+      }
+
+      // Mark all of them for potential reuse
+      for (let i = 0; i < existingCount; i++) {
+        existingEls[i][ReuseElSymbol] = true;
+      }
+
+      // In grid/masonry layouts, the buffer is counted in rows
+      this._updateLanes();
+      const lanes = p.lanes;
+      const itemsPerRow = p.itemsPerRow;
+
+      // Make sure we have at least estimated positions for all items so we can translate scroll position
+      this._calculateItemPosition(p.count - 1);
+
+      const anchoring = p.scrollAnchoring || p.stickToBottom;
+
+      if (anchoring) {
+        // Compensate for changes that happened since the last render, and anchor to the current viewport
+        if (this._applyScrollAnchor()) {
+          scrollTop = this._getScrollPosition();
+          visibleBottom = scrollTop + visibleHeight;
+        }
+
+        this._captureScrollAnchor(scrollTop - this._getItemsOffset());
+      }
+
+      if (p.stickToBottom) {
+        // Only a scroll since the last render may change the stuck state
+        if (p.lastScrollPos !== null && scrollTop !== p.lastScrollPos)
+          this._setStuckToBottom(this.isAtBottom());
+      }
+
+      // In scaled-scroll mode, elements are positioned relative to the native scroll position
+      p.scrollShift = scrollTop - this._getNativeScrollPosition();
+
+      // Translate the viewport into item positions, as there may be content before the first item
+      const itemsOffset = this._getItemsOffset();
+      const itemsTop = scrollTop - itemsOffset;
+      const itemsBottom = visibleBottom - itemsOffset;
+
+      p.stickyHeaderIndex = (p.isSectionHeaderFn && p.layout === 'list' && count > 0)
+          ? this._findSectionHeaderIndex(Math.min(count - 1, this._findFirstVisibleRow(itemsTop)))
+          : -1;
+
+      // Keep elements that need to stay rendered out of reach of the reuse logic
+      const retainedIndexes = this._getRetainedIndexes();
+      this._retainElements(retainedIndexes);
+
+      // Moving the focused element around (i.e. through a fragment) blurs it
+      const focusedEl = this._getFocusedItemIndex() !== -1 ? list.ownerDocument.activeElement : null;
+
+      // Find existing elements index range
+      let existingRange = this._getExistingElsRange();
+
+      // Find first visible element
+      let firstVisibleRow = this._findFirstVisibleRow(itemsTop);
+      let firstRenderIndex = Math.max(0, firstVisibleRow * itemsPerRow - buffer * lanes);
+
+      // Iterate over viewport
+      let index = firstRenderIndex;
+      let renderPos = this._calculateItemPosition(index);
+      let bufferEnd = buffer * lanes;
+
+      // we want to render until viewport's bottom + buffer items
+      let maxIndexToRender = Math.max(index, (this._findLastVisibleRow(itemsBottom) + 1) * itemsPerRow + buffer * lanes);
+
+      let insertedItems = [];
+
+      /** @type DocumentFragment|null */
+      let fragment = null;
+
+      // Find the element to insert before, skipping elements that are not in the rendered range (i.e. retained elements)
+      const existingElsSet = new Set(existingEls);
+      const nextExistingEl = node => {
+        while (node && !existingElsSet.has(node))
+          node = node.nextSibling;
+        return node;
+      };
+      let before = nextExistingEl(virtualWrapper.childNodes[0]);
+
+      const itemTypeFn = p.itemTypeFn;
+
+      const findElementToReuse = function (index) {
+        // Find existing element to reuse
+        /** @type Element|undefined */
+        let existingEl = undefined;
+
+        // Elements are only reused for items of the same type
+        const type = itemTypeFn ? itemTypeFn(index) : undefined;
+
+        if (existingRange.firstIndex !== -1 && index >= existingRange.firstIndex && index <= existingRange.lastIndex) {
+          existingEl = existingEls.find(x => x[ItemIndexSymbol] === index && x[ReuseElSymbol] === true &&
+              x[ItemTypeSymbol] === type);
+        }
+
+        if (existingEl === undefined) {
+          existingEl = ((existingRange.firstIndex < firstRenderIndex || existingRange.firstValidArrayIndex > 0)
+                  ? existingEls.find((x) =>
+                      (x[ItemIndexSymbol] < firstRenderIndex || false === hasOwnProperty.call(x, ItemIndexSymbol))
+                      && x[ReuseElSymbol] === true && x[ItemTypeSymbol] === type)
+                  : undefined
+          ) || findLast(existingEls, (x) => x[ReuseElSymbol] === true && x[ItemTypeSymbol] === type);
+        }
+
+        if (existingEl !== undefined) {
+          delete existingEl[ReuseElSymbol];
+        }
+
+        return existingEl;
+      };
+
+      // First we iterate and try to add all at once in a fragment, as much as we can.
+      // And then reflow the at once.
+      for (; index < count && index < maxIndexToRender; index++) {
+        let existingEl = this._takeRetainedElement(index) ?? findElementToReuse(index);
+
+        if (before && before === existingEl)
+          before = nextExistingEl(before.nextSibling);
+
+        // Dequeue the element by reusing or creating a new one
+        const itemEl = this._dequeueElementForIndex(existingEl, index, before, true);
+        existingElsSet.add(itemEl);
+        insertedItems.push([itemEl, index]);
+
+        fragment = insertBeforeWithFragment(itemEl, fragment, before, itemParent);
+      }
+
+      // Insert any remaining fragment
+      if (fragment && fragment.childNodes.length > 0) {
+        insertBefore(fragment, before, itemParent);
+      }
+
+      // Measure all inserted items, and only then position them, to avoid layout thrashing
+      this._flowItemElements(insertedItems);
+      renderPos = this._calculateItemPosition(index);
+
+      // See if we still need to insert more items
+      if (renderPos < itemsBottom) {
+        // Insert them in batches by their estimated heights, as measuring each batch requires a layout
+        while ((renderPos < itemsBottom || bufferEnd > 0) && index < count) {
+          // The buffer items are added once the measured items fill the viewport
+          const isFilled = renderPos >= itemsBottom;
+
+          insertedItems = [];
+          fragment = null;
+
+          for (; (isFilled ? bufferEnd-- > 0 : renderPos < itemsBottom) && index < count; index++) {
+            let existingEl = this._takeRetainedElement(index) ?? findElementToReuse(index);
+
+            if (before && before === existingEl)
+              before = nextExistingEl(before.nextSibling);
+
+            // Dequeue the element by reusing or creating a new one
+            const itemEl = this._dequeueElementForIndex(existingEl, index, before, true);
+            existingElsSet.add(itemEl);
+            insertedItems.push([itemEl, index]);
+
+            fragment = insertBeforeWithFragment(itemEl, fragment, before, itemParent);
+
+            // Increment pointers (by the estimated height, until measured)
+            renderPos = this._calculateItemPosition(index + 1);
+          }
+
+          if (fragment && fragment.childNodes.length > 0) {
+            insertBefore(fragment, before, itemParent);
+          }
+
+          this._flowItemElements(insertedItems);
+          renderPos = this._calculateItemPosition(index);
+        }
+      }
+
+      // Render the elements that need to stay rendered outside the rendered range
+      this._renderRetainedElements(retainedIndexes);
+
+      if (focusedEl && focusedEl.isConnected && list.ownerDocument.activeElement !== focusedEl)
+        focusedEl.focus({ preventScroll: true });
+
+      this._updateStickyHeader(itemsTop);
+
+      // Calculate up-to-date scroll height
+      this._updateVirtualWrapperSize();
+
+      this._renderLoadingIndicators();
+
+      // Measurements during this render may have moved the anchor, which requires rendering the new viewport
+      let needsRender = anchoring && this._applyScrollAnchor();
+
+      if (p.stickToBottom && p.stuckToBottom && !this.isAtBottom()) {
+        const scrollPos = this._getScrollPosition();
+        this._setScrollPosition(this.estimateFullHeight());
+        if (this._getScrollPosition() !== scrollPos)
+          needsRender = true;
+      }
+
+      const contentOffset = p.alignToBottom
+          ? Math.max(0, visibleHeight - this.estimateFullHeight())
+          : 0;
+      if (contentOffset !== p.contentOffset) {
+        p.contentOffset = contentOffset;
+        needsRender = true;
+      }
+
+      p.lastScrollPos = this._getScrollPosition();
+
+      if (needsRender || originalWidth !== this._getListCrossSize())
+        this.render();
+    } else { // non-virtual
+      if (count !== existingEls.length) {
+        for (let i = 0; i < existingCount; i++) {
+          existingEls[i][ReuseElSymbol] = true;
+        }
 
         // Find the element to insert before
         let before = itemParent.childNodes[0];
 
-        /** @type DocumentFragment|null */
-        let fragment = null;
+        /** @type DocumentFragment|null */
+        let fragment = null;
+
+        for (let index = 0; index < count; index++) {
+          // Find existing element to reuse
+          const type = p.itemTypeFn ? p.itemTypeFn(index) : undefined;
+          let existingEl = existingEls.find(x => x[ItemIndexSymbol] === index && x[ReuseElSymbol] === true &&
+              x[ItemTypeSymbol] === type);
+
+          if (existingEl !== undefined) {
+            delete existingEl[ReuseElSymbol];
+          }
+
+          if (before && before === existingEl)
+            before = before.nextSibling;
+
+          // Dequeue the element by reusing or creating a new one
+          const itemEl = this._dequeueElementForIndex(existingEl, index, before, true);
+
+          fragment = insertBeforeWithFragment(itemEl, fragment, before, itemParent);
+        }
+
+        // Insert any remaining fragment
+        if (fragment && fragment.childNodes.length > 0) {
+          insertBefore(fragment, before, itemParent);
+        }
+      }
+    }
+
+    // Cleanup extra unused elements
+    existingCount = existingEls.length; // May have changed
+    for (let i = 0; i < existingCount; i++) {
+      const el = existingEls[i];
+      if (el[ReuseElSymbol] !== true) continue;
+
+      let parent = el.parentNode;
+      if (parent)
+        parent.removeChild(el);
+      p.resizeObserver?.unobserve(el);
+      this._cancelItemRender(el);
+      if (onItemUnrender && el[ItemIndexSymbol] !== undefined)
+        onItemUnrender(el);
+      existingEls.splice(i, 1);
+
+      if (virtual && p.itemTypeFn)
+        this._poolElement(el);
+
+      i--;
+      existingCount--;
+    }
+
+    this._updateItemAttributes();
+
+    if (p.onVisibleRangeChange)
+      this._notifyVisibleRangeChange();
+
+    if (virtual && (p.onReachStart || p.onReachEnd))
+      this._checkReachEdges();
+  }
+
+  /**
+   * Updates the fast scrolling state by the velocity since the last scroll event. <br />
+   * The list stops being considered scrolling fast after `scrollingIdleDelay` without fast scroll events.
+   * @private
+   */
+  _updateScrollingState() {
+    const p = this._p;
+    const pos = this._getScrollPosition();
+    const time = performance.now();
+    const last = p.lastScrollSample;
+
+    p.lastScrollSample = { pos: pos, time: time };
+
+    if (!last)
+      return;
+
+    const velocity = Math.abs(pos - last.pos) * 1000 / Math.max(1, time - last.time);
+    if (velocity < p.scrollingVelocityThreshold)
+      return;
+
+    if (p.scrollingIdleTimer !== null)
+      clearTimeout(p.scrollingIdleTimer);
+
+    p.scrollingIdleTimer = setTimeout(() => {
+      p.scrollingIdleTimer = null;
+      this._setScrolling(false);
+    }, p.scrollingIdleDelay);
+
+    this._setScrolling(true);
+  }
+
+  /**
+   * Sets the fast scrolling state, and notifies of the change. <br />
+   * When scrolling settles, the placeholders are rendered fully.
+   * @param {boolean} scrolling
+   * @private
+   */
+  _setScrolling(scrolling) {
+    const p = this._p;
+
+    if (p.isScrolling === scrolling)
+      return;
+
+    p.isScrolling = scrolling;
+    p.onScrollingChange?.(scrolling);
+
+    if (!scrolling && p.onItemRenderPlaceholder && p.virtualWrapper)
+      this.render();
+  }
+
+  /**
+   * Schedules a render for the next animation frame, if there isn't one scheduled already. <br />
+   * Use this to join the same batch as the scroll events, when `renderOnAnimationFrame` is enabled. <br />
+   * A call to `render()` in the meantime renders right away, and cancels the scheduled render.
+   * @returns {VirtualListHelper}
+   */
+  scheduleRender() {
+    const p = this._p;
+
+    if (p.renderFrameRequest === null) {
+      p.renderFrameRequest = requestAnimationFrame(() => {
+        p.renderFrameRequest = null;
+        this.render();
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Cancels a render scheduled by `scheduleRender()`, if there is one.
+   * @private
+   */
+  _cancelScheduledRender() {
+    const p = this._p;
+
+    if (p.renderFrameRequest !== null) {
+      cancelAnimationFrame(p.renderFrameRequest);
+      p.renderFrameRequest = null;
+    }
+  }
+
+  /**
+   * States that items were added at a certain position in the list. <br />
+   * Virtual mode: Call `render()` to update the view after making changes.
+   * @param {number} count
+   * @param {number} [atIndex=-1]
+   * @returns {VirtualListHelper}
+   */
+  addItemsAt(count, atIndex = -1) {
+    if (typeof count !== 'number' || count <= 0)
+      return this;
+
+    const p = this._p;
+
+    if (atIndex < 0 || atIndex >= p.count)
+      atIndex = p.count;
+
+    p.count += count;
+
+    this._shiftActiveIndex(atIndex, count);
+    this._shiftSelection(atIndex, count);
+
+    if (p.virtual) {
+      if (p.getItemKey) {
+        // Measurements and rendered elements move along with their items
+        this._shiftItemIndexesAt(atIndex, count);
+      } else if (atIndex >= 0 && atIndex < p.count) {
+        this._retainFocusedElement();
+        this._shiftRetainedElements(atIndex, count);
+        this._invalidateItemIndexesAt(atIndex, -1);
+      }
+
+      this._shiftScrollAnchor(atIndex, count);
+    }
+    else { // non-virtual
+      let existingEls = p.existingEls;
+      let existingCount = existingEls.length;
+      if (existingCount !== p.count - count)
+        return this;
+
+      let existingRange = this._getExistingElsRange();
+      if (existingRange.firstValidArrayIndex === -1)
+        return this;
+
+      const itemParent = p.currentItemsParent;
+
+      let startIndex = existingRange.firstValidArrayIndex + atIndex - existingRange.firstIndex;
+
+      this._pushItemIndexesAt(atIndex, count);
+
+      /** @type Node|undefined */
+      let before = existingEls[startIndex - 1]
+          ? existingEls[startIndex - 1].nextSibling
+          : existingEls[0];
+
+      /** @type DocumentFragment|null */
+      let fragment = null;
+
+      for (let index = atIndex, end = atIndex + count; index < end; index++) {
+        const itemEl = this._dequeueElementForIndex(undefined, index, before, true);
+        fragment = insertBeforeWithFragment(itemEl, fragment, before, itemParent);
+      }
+
+      // Insert any remaining fragment
+      if (fragment && fragment.childNodes.length > 0) {
+        insertBefore(fragment, before, itemParent);
+      }
+    }
+
+    this._updateItemAttributes();
+
+    return this;
+  }
+
+  /**
+   * States that items were removed at a certain position in the list. <br />
+   * Virtual mode: Call `render()` to update the view after making changes.
+   * @param {number} count
+   * @param {number} atIndex
+   * @returns {VirtualListHelper}
+   */
+  removeItemsAt(count, atIndex) {
+    const p = this._p;
+
+    if (typeof count !== 'number' || typeof atIndex !== 'number' || count <= 0 || atIndex < 0 || atIndex >= p.count)
+      return this;
+
+    const removedCount = Math.min(count, p.count - atIndex);
+    p.count -= removedCount;
+
+    this._shiftActiveIndex(atIndex, -removedCount);
+    this._shiftSelection(atIndex, -removedCount);
+
+    if (p.virtual) {
+      if (p.getItemKey) {
+        // Measurements and rendered elements move along with their items
+        this._shiftItemIndexesAt(atIndex, -removedCount);
+      } else {
+        this._retainFocusedElement();
+        this._shiftRetainedElements(atIndex, -removedCount);
+        this._invalidateItemIndexesAt(atIndex, -1);
+      }
+
+      this._shiftScrollAnchor(atIndex, -removedCount);
+    }
+    else { // non-virtual
+      let existingEls = p.existingEls;
+      let existingCount = existingEls.length;
+      if (existingCount !== p.count + count)
+        return this;
+
+      let existingRange = this._getExistingElsRange();
+      if (existingRange.firstValidArrayIndex === -1)
+        return this;
+
+      this._pushItemIndexesAt(atIndex + count, -count);
+
+      const onItemUnrender = p.onItemUnrender;
+      let index = existingRange.firstValidArrayIndex + atIndex - existingRange.firstIndex;
+      if (index < existingEls.length) {
+        for (let i = 0; i < count; i++) {
+          let itemEl = existingEls[index + i];
+
+          let parent = itemEl.parentNode;
+          if (parent)
+            parent.removeChild(itemEl);
+          this._cancelItemRender(itemEl);
+          if (onItemUnrender && itemEl[ItemIndexSymbol] !== undefined)
+            onItemUnrender(itemEl);
+        }
+        existingEls.splice(index, count);
+      }
+    }
+
+    this._updateItemAttributes();
+
+    return this;
+  }
+
+  /**
+   * Applies a batch of changes to the list, and renders once. <br />
+   * The indexes of each change refer to the list as it is after the previous changes. <br />
+   * Cached measurements move along with their items,
+   *   and rendered elements of items that were only shifted by the changes are kept as they are.
+   * @param {VirtualListHelper~ListChange[]} changes
+   * @returns {VirtualListHelper}
+   */
+  applyChanges(changes) {
+    const p = this._p;
+
+    for (let change of changes) {
+      let index = change.index;
+      let count = change.count ?? 1;
+
+      if (typeof index !== 'number' || typeof count !== 'number' || count <= 0)
+        continue;
+
+      switch (change.type) {
+        case 'insert':
+          if (!p.virtual) {
+            this.addItemsAt(count, index);
+            break;
+          }
+
+          if (index < 0 || index >= p.count)
+            index = p.count;
+
+          p.count += count;
+          this._shiftItemIndexesAt(index, count);
+          this._shiftScrollAnchor(index, count);
+          this._shiftActiveIndex(index, count);
+          this._shiftSelection(index, count);
+          break;
+
+        case 'remove':
+          if (!p.virtual) {
+            this.removeItemsAt(count, index);
+            break;
+          }
+
+          if (index < 0 || index >= p.count)
+            break;
+
+          count = Math.min(count, p.count - index);
+          p.count -= count;
+          this._shiftItemIndexesAt(index, -count);
+          this._shiftScrollAnchor(index, -count);
+          this._shiftActiveIndex(index, -count);
+          this._shiftSelection(index, -count);
+          break;
+
+        case 'move': {
+          if (index < 0 || index >= p.count)
+            break;
+
+          count = Math.min(count, p.count - index);
+          const to = Math.max(0, Math.min(change.to ?? index, p.count - count));
+          if (to === index)
+            break;
+
+          if (p.virtual) {
+            this._moveItemIndexes(index, count, to);
+          } else {
+            this._moveItemElements(index, count, to);
+          }
+
+          if (p.activeIndex !== -1)
+            this._setActiveIndex(mapMovedIndex(p.activeIndex, index, count, to));
+
+          this._mapSelection(x => mapMovedIndex(x, index, count, to));
+          break;
+        }
+
+        case 'update':
+          if (index < 0 || index >= p.count)
+            break;
+
+          count = Math.min(count, p.count - index);
+
+          if (p.virtual) {
+            this._removeRetainedElementsAt(index, count);
+            this._invalidateItemIndexesAt(index, count);
+          } else {
+            for (let i = index; i < index + count; i++)
+              this.refreshItemAt(i);
+          }
+          break;
+      }
+    }
+
+    this.render();
+
+    return this;
+  }
+
+  /**
+   * Mark an element for a re-render. <br />
+   * Virtual mode: Call `render()` to update the view after making changes. <br />
+   * Non-virtual mode - the element is re-rendered immediately.
+   * @param {number} index - the index of the element to re-render
+   * @returns {VirtualListHelper}
+   */
+  refreshItemAt(index) {
+    const p = this._p;
+
+    if (typeof index !== 'number' || index < 0 || index >= p.count)
+      return this;
+
+    if (p.virtual) {
+      this._removeRetainedElementsAt(index, 1);
+      this._invalidateItemIndexesAt(index, 1);
+    }
+    else { // non-virtual
+      let existingEls = p.existingEls;
+      let existingCount = existingEls.length;
+      if (existingCount !== p.count)
+        return this;
+
+      let itemEl = existingEls.find(x => x[ItemIndexSymbol] === index);
+
+      if (itemEl) {
+        if (p.itemTypeFn && itemEl[ItemTypeSymbol] !== p.itemTypeFn(index)) {
+          // The type of the item has changed, so it needs a new element
+          this._dequeueElementForIndex(undefined, index, itemEl, false);
+
+          if (itemEl.parentNode)
+            itemEl.parentNode.removeChild(itemEl);
+          this._cancelItemRender(itemEl);
+          if (p.onItemUnrender)
+            p.onItemUnrender(itemEl);
+          existingEls.splice(existingEls.indexOf(itemEl), 1);
+        } else {
+          delete itemEl[ItemIndexSymbol];
+          this._dequeueElementForIndex(itemEl, index, itemEl.nextSibling, false);
+        }
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Tests whether an item at the specified index is rendered.
+   * @param {number} index - the index to test
+   * @returns {boolean}
+   */
+  isItemRendered(index) {
+    return this.getItemElementAt(index) !== undefined;
+  }
+
+  /**
+   * Retrieves DOM element for the item at the specified index - if it's currently rendered.
+   * @param {number} index - the index to retrieve
+   * @returns {Element|undefined}
+   */
+  getItemElementAt(index) {
+    const p = this._p;
+
+    if (typeof index !== 'number' || index < 0 || index >= p.count)
+      return undefined;
+
+    const retainedEl = p.retainedEls.get(index);
+    if (retainedEl)
+      return retainedEl;
+
+    let existingEls = p.existingEls;
+    let existingRange = this._getExistingElsRange();
+
+    if (index >= existingRange.firstIndex && index <= existingRange.lastIndex) {
+      const itemEl = existingEls[existingRange.firstValidArrayIndex + index - existingRange.firstIndex];
+      if (itemEl && itemEl[ItemIndexSymbol] === index)
+        return itemEl;
+    }
+
+    // Items may have been added, removed or moved since the last render,
+    //   leaving the existing elements out of order, or with gaps between them
+    return existingEls.find(x => x[ItemIndexSymbol] === index);
+  }
+
+  /**
+   * Retrieves the position for the specified index. <br />
+   * In grid layout, this is the position of the item's row. <br />
+   * In masonry layout, this is the position of the item within its column (see `getItemColumn()`). <br />
+   * Note that this may be based on estimations. Use `scrollToIndex()` to accurately scroll to a specific item.
+   * @param {number} index
+   * @returns {number|undefined}
+   */
+  getItemPosition(index) {
+    const p = this._p;
+
+    if (typeof index !== 'number' || index < 0 || index >= p.count)
+      return undefined;
+
+    if (p.virtual) {
+      return this._calculateItemPosition(index) + this._getItemsOffset();
+    } else {
+      let itemEl = this.getItemElementAt(index);
+      if (itemEl === undefined)
+        return undefined;
+
+      const list = p.list;
+
+      if (p.orientation === 'horizontal') {
+        const itemRect = this._getMainAxisRect(itemEl.getBoundingClientRect());
+        const listRect = this._getMainAxisRect(list.getBoundingClientRect());
+        return itemRect.start - listRect.start + getScrollHorz(list, p.isRtl);
+      }
+
+      return getElementOffset(itemEl).top - getElementOffset(list).top + list.scrollTop;
+    }
+  }
+
+  /**
+   * Exports the measured item heights, for restoring them later (i.e. after navigating back to the page)
+   *   using `importMeasurements()`. <br />
+   * The snapshot is serializable (as long as the keys are), and includes the width of the list,
+   *   as the heights are probably not valid for a different width.
+   * @param {Object} [options]
+   * @param {boolean} [options.byKey] export the heights by item key (the default when there's a `getItemKey`), or by index
+   * @returns {VirtualListHelper~MeasurementsSnapshot}
+   */
+  exportMeasurements(options = {}) {
+    const p = this._p;
+    const byKey = options.byKey ?? !!p.getItemKey;
+    const heights = [];
+
+    if (byKey) {
+      for (let [key, height] of p.cachedKeyHeights)
+        heights.push([key, height]);
+    } else {
+      p.cachedItemHeights.forEach((height, index) => {
+        if (height !== undefined)
+          heights.push([index, height]);
+      });
+    }
+
+    return {
+      width: this._getListCrossSize(),
+      byKey: byKey,
+      heights: heights,
+    };
+  }
+
+  /**
+   * Imports item heights that were exported by `exportMeasurements()`, as if they were already measured. <br />
+   * Call this before the first `render()`, so the scroll height and scroll positions are accurate right away. <br />
+   * Heights by key apply only when there's a `getItemKey`. <br />
+   * Heights by index that are imported while there are no items yet apply once the count is set. <br />
+   * The snapshot is ignored if it was taken when the list had a different width.
+   * @param {VirtualListHelper~MeasurementsSnapshot} snapshot
+   * @returns {boolean} whether the snapshot was imported
+   */
+  importMeasurements(snapshot) {
+    const p = this._p;
+
+    if (!snapshot || !Array.isArray(snapshot.heights))
+      return false;
+
+    if (typeof snapshot.width === 'number' && snapshot.width !== this._getListCrossSize())
+      return false;
+
+    if (snapshot.byKey) {
+      for (let [key, height] of snapshot.heights)
+        p.cachedKeyHeights.set(key, height);
+    } else if (p.count === 0) {
+      // Keep it until there are items to apply it to
+      p.pendingMeasurements = snapshot;
+    } else {
+      for (let [index, height] of snapshot.heights) {
+        if (index >= 0 && index < p.count)
+          p.cachedItemHeights[index] = height;
+      }
+    }
+
+    this._setItemPositionsNeedsUpdate(0);
+
+    return true;
+  }
+
+  /**
+   * Retrieves the item index for the specified element
+   * @param {Element} el
+   * @returns {number|undefined}
+   */
+  getItemIndexFromElement(el) {
+    return el ? el[ItemIndexSymbol] : undefined;
+  }
+
+  /**
+   * Retrieves the size (or estimated size, if unknown) for the specified index. <br />
+   * @param {number} index
+   * @returns {number|undefined}
+   */
+  getItemSize(index) {
+    const p = this._p;
+
+    if (typeof index !== 'number' || index < 0 || index >= p.count)
+      return undefined;
+
+    let height = p.cachedItemHeights[index - 1]; // already calculated
+
+    if (height === undefined) {
+      height = p.itemHeightEstimatorFn ? p.itemHeightEstimatorFn(index - 1) : null; // estimated per item
+
+      if (typeof height !== 'number')
+        height = p.estimatedItemHeight; // estimated
+
+      p.cachedItemEstimatedHeights[index - 1] = height;
+    }
+
+    return height;
+  }
+
+  /**
+   * Retrieves the number of items that fit into the current viewport. <br />
+   * In grid layout, this counts all the items in the visible rows. <br />
+   * In masonry layout, this counts the items in the range between the first and the last visible items.
+   * @returns {number}
+   */
+  getVisibleItemCount() {
+    const range = this._getVisibleIndexRange();
+    return (range.last - range.first) + 1;
+  }
+
+  /**
+   * Retrieves the range of visible items, and the range of currently rendered items. <br />
+   * In masonry layout, the first visible item is the first one that may be visible.
+   * @returns {VirtualListHelper~VisibleRange}
+   */
+  getVisibleRange() {
+    const p = this._p;
+
+    if (p.count === 0) {
+      return { firstVisible: -1, lastVisible: -1, firstRendered: -1, lastRendered: -1 };
+    }
+
+    const visibleRange = this._getVisibleIndexRange();
+    const existingRange = this._getExistingElsRange();
+
+    return {
+      firstVisible: Math.max(0, visibleRange.first),
+      lastVisible: Math.min(p.count - 1, visibleRange.last),
+      firstRendered: existingRange.firstIndex,
+      lastRendered: existingRange.lastIndex,
+    };
+  }
+
+  /**
+   * Calculates the range of visible item indexes.
+   * @returns {{first: number, last: number}}
+   * @private
+   */
+  _getVisibleIndexRange() {
+    const p = this._p;
+
+    let scrollTop = this._getScrollPosition();
+    let visibleHeight = this._getViewportSize();
+    let firstVisibleIndex, lastVisibleIndex;
+
+    if (p.virtual) {
+      const itemsTop = scrollTop - this._getItemsOffset();
+
+      // In grid layout, these are rows
+      let firstVisibleRow = this._findFirstVisibleRow(itemsTop);
+      let lastVisibleRow = this._findLastVisibleRow(itemsTop + visibleHeight, firstVisibleRow);
+
+      const itemsPerRow = p.itemsPerRow;
+      return {
+        first: firstVisibleRow * itemsPerRow,
+        last: Math.min(p.count, (lastVisibleRow + 1) * itemsPerRow) - 1,
+      };
+    }
+    else {
+      const retriever = i => {
+        let pos = this.getItemPosition(i);
+        if (pos === undefined)
+          pos = Infinity;
+        return pos;
+      };
+
+      firstVisibleIndex = binarySearchPositionByFn(p.count, retriever, scrollTop);
+      lastVisibleIndex = binarySearchPositionByFn(p.count, retriever, scrollTop + visibleHeight, firstVisibleIndex);
+    }
+
+    if (this.getItemPosition(lastVisibleIndex) === scrollTop + visibleHeight)
+      lastVisibleIndex--;
+    return { first: firstVisibleIndex, last: lastVisibleIndex };
+  }
+
+  /**
+   * Notifies of a change in the visible/rendered range, if there was any since the last notification.
+   * @private
+   */
+  _notifyVisibleRangeChange() {
+    const p = this._p;
+    const range = this.getVisibleRange();
+    const last = p.lastVisibleRange;
+
+    if (last &&
+        last.firstVisible === range.firstVisible &&
+        last.lastVisible === range.lastVisible &&
+        last.firstRendered === range.firstRendered &&
+        last.lastRendered === range.lastRendered)
+      return;
+
+    p.lastVisibleRange = range;
+    p.onVisibleRangeChange(range);
+  }
+
+  /**
+   * Retrieves the size taken by the loading indicator at an end of the list, if it's shown.
+   * @param {boolean} atStart
+   * @returns {number}
+   * @private
+   */
+  _getLoadingIndicatorSize(atStart) {
+    const p = this._p;
+
+    if (!p.virtual || !p.onLoadingIndicatorRender || !(atStart ? p.loadingAtStart : p.loadingAtEnd))
+      return 0;
+
+    return p.loadingIndicatorHeight;
+  }
+
+  /**
+   * Creates, positions or removes the loading indicators according to the loading state.
+   * @private
+   */
+  _renderLoadingIndicators() {
+    const p = this._p;
+    const horizontal = p.orientation === 'horizontal';
+
+    for (let atStart of [true, false]) {
+      const elProp = atStart ? 'loadingStartEl' : 'loadingEndEl';
+      const size = this._getLoadingIndicatorSize(atStart);
+      let el = p[elProp];
+
+      if (size === 0) {
+        if (el) {
+          if (el.parentNode)
+            el.parentNode.removeChild(el);
+          if (p.onItemUnrender)
+            p.onItemUnrender(el);
+          p[elProp] = null;
+        }
+        continue;
+      }
+
+      if (!el) {
+        el = p[elProp] = p.itemElementCreatorFn();
+
+        const style = (/**@type ElementCSSInlineStyle*/el).style;
+        style.position = 'absolute';
+        style.top = '0';
+
+        if (horizontal) {
+          style.bottom = '0';
+          style[p.isRtl ? 'right' : 'left'] = '0';
+        } else {
+          style.left = '0';
+          style.right = '0';
+        }
+
+        p.onLoadingIndicatorRender(el, atStart ? 'start' : 'end');
+
+        // Keep it after the items, as they expect to be the first children
+        p.currentItemsParent.appendChild(el);
+      }
+
+      el.style[horizontal ? 'width' : 'height'] = `${size}px`;
+
+      this._setElementMainAxisPosition(el, (atStart
+          ? p.contentOffset
+          : this._getItemsOffset() + this._getItemsHeight()) - p.scrollShift);
+    }
+  }
+
+  /**
+   * Calls `onReachStart`/`onReachEnd` if the rendered range is near either end of the list.
+   * @private
+   */
+  _checkReachEdges() {
+    const p = this._p;
+    const count = p.count;
+
+    if (count === 0) {
+      // Load the first items at the end, unless only loading at the start is supported
+      this._loadMoreAt(!p.onReachEnd);
+      return;
+    }
+
+    const range = this._getExistingElsRange();
+    if (range.firstIndex === -1)
+      return;
+
+    const threshold = p.reachThreshold;
+    const thresholdPx = p.reachThresholdPx;
+    const scrollPos = this._getScrollPosition();
+
+    if (range.firstIndex <= threshold ||
+        (thresholdPx > 0 && scrollPos <= thresholdPx)) {
+      this._loadMoreAt(true);
+    }
+
+    if (range.lastIndex >= count - 1 - threshold ||
+        (thresholdPx > 0 && this.estimateFullHeight() - (scrollPos + this._getViewportSize()) <= thresholdPx)) {
+      this._loadMoreAt(false);
+    }
+  }
+
+  /**
+   * Calls `onReachStart`/`onReachEnd` (unless it's already in progress, or there's nothing more to load),
+   *   and adds the resulting items.
+   * @param {boolean} atStart
+   * @private
+   */
+  _loadMoreAt(atStart) {
+    const p = this._p;
+    const fn = atStart ? p.onReachStart : p.onReachEnd;
+    const loadingProp = atStart ? 'loadingAtStart' : 'loadingAtEnd';
+    const hasMoreProp = atStart ? 'hasMoreAtStart' : 'hasMoreAtEnd';
+
+    if (!fn || p[loadingProp] || !p[hasMoreProp])
+      return;
+
+    p[loadingProp] = true;
+
+    const token = p.loadingToken;
+
+    // We may be in the middle of rendering, so defer the call
+    Promise.resolve()
+      .then(() => {
+        if (token !== p.loadingToken)
+          return;
+
+        // Show the loading indicator
+        if (p.onLoadingIndicatorRender)
+          this.render();
+
+        return fn();
+      })
+      .then(added => {
+        if (token !== p.loadingToken)
+          return;
+
+        p[loadingProp] = false;
+
+        if (added === 0) {
+          p[hasMoreProp] = false;
+        } else if (typeof added === 'number' && added > 0) {
+          this.addItemsAt(added, atStart ? 0 : -1);
+        }
+
+        this.render();
+      }, err => {
+        // Do not render, so we won't retry right away. The next render near the edge will retry.
+        if (token !== p.loadingToken)
+          return;
+
+        p[loadingProp] = false;
+        p.onLoadMoreError?.(err, atStart ? 'start' : 'end');
+      });
+  }
+
+  /**
+   * Finds the section header that the item at the specified index belongs to.
+   * @param {number} index
+   * @returns {number} the index of the section header, or `-1`
+   * @private
+   */
+  _findSectionHeaderIndex(index) {
+    const p = this._p;
+    const cache = p.cachedSectionHeaderIndexes;
+
+    let headerIndex = -1;
+    let i = index;
+
+    for (; i >= 0; i--) {
+      if (cache[i] !== undefined) {
+        headerIndex = cache[i];
+        break;
+      }
+
+      if (p.isSectionHeaderFn(i)) {
+        headerIndex = i;
+        break;
+      }
+    }
+
+    // Memoize for the whole scanned range, so the next lookups are immediate
+    for (let j = Math.max(0, i); j <= index; j++)
+      cache[j] = headerIndex;
+
+    return headerIndex;
+  }
+
+  /**
+   * Positions the header of the current section at the top of the viewport,
+   *   or right above the next section header, if that one is arriving.
+   * @param {number} itemsTop - the start of the viewport, in item positions
+   * @private
+   */
+  _updateStickyHeader(itemsTop) {
+    const p = this._p;
+    const index = p.stickyHeaderIndex;
+    const el = index === -1 ? null : (this.getItemElementAt(index) || null);
+
+    if (p.stickyHeaderEl && p.stickyHeaderEl !== el) {
+      // It was already re-positioned if it's still rendered
+      p.stickyHeaderEl.style.zIndex = '';
+    }
+
+    p.stickyHeaderEl = el;
+
+    if (!el)
+      return;
+
+    const height = this._getItemHeight(index);
+    let pos = Math.max(this._calculateItemPosition(index), itemsTop);
+
+    // Look for the next header in the rendered range
+    const firstVisibleIndex = Math.max(index, this._findFirstVisibleRow(itemsTop));
+    const lastRenderedIndex = this._getExistingElsRange().lastIndex;
+
+    for (let i = firstVisibleIndex + 1; i <= lastRenderedIndex; i++) {
+      if (this._findSectionHeaderIndex(i) === i) {
+        pos = Math.min(pos, this._calculateItemPosition(i) - height);
+        break;
+      }
+    }
+
+    el.style.zIndex = '1';
+    this._setItemElementPosition(el, pos, 0);
+  }
+
+  /**
+   * Updates the attributes of the rendered items, which reflect their index or state
+   *   (ARIA attributes and selection), without re-rendering them.
+   * @private
+   */
+  _updateItemAttributes() {
+    const p = this._p;
+
+    if (p.ariaRole)
+      this._updateAriaAttributes();
+
+    if (p.selectionMode !== 'none')
+      this._updateSelectionAttributes();
+  }
+
+  /**
+   * Updates the ARIA attributes of the list, the virtual wrapper and the rendered items,
+   *   by the current count and item indexes.
+   * @private
+   */
+  _updateAriaAttributes() {
+    const p = this._p;
+    const role = p.ariaRole;
+
+    if (!role || !p.list)
+      return;
+
+    const isGrid = role === 'grid';
+    const columns = isGrid ? this.getColumnCount() : 1;
+    const itemRole = columns > 1 ? 'gridcell' : AriaItemRoles[role];
+    const count = String(p.count);
+
+    setAttributeIfChanged(p.list, 'role', role);
+
+    if (isGrid) {
+      setAttributeIfChanged(p.list, 'aria-rowcount', String(Math.ceil(p.count / columns)));
+
+      if (columns > 1) {
+        setAttributeIfChanged(p.list, 'aria-colcount', String(columns));
+      } else {
+        p.list.removeAttribute('aria-colcount');
+      }
+    }
+
+    if (p.virtualWrapper)
+      setAttributeIfChanged(p.virtualWrapper, 'role', 'presentation');
+
+    const updateItem = el => {
+      const index = el[ItemIndexSymbol];
+      if (index === undefined)
+        return;
+
+      setAttributeIfChanged(el, 'role', itemRole);
+
+      if (isGrid) {
+        setAttributeIfChanged(el, 'aria-rowindex', String(Math.floor(index / columns) + 1));
+
+        if (columns > 1) {
+          setAttributeIfChanged(el, 'aria-colindex', String(index % columns + 1));
+        } else {
+          el.removeAttribute('aria-colindex');
+        }
+      } else {
+        setAttributeIfChanged(el, 'aria-setsize', count);
+        setAttributeIfChanged(el, 'aria-posinset', String(index + 1));
+      }
+    };
+
+    p.existingEls.forEach(updateItem);
+    p.retainedEls.forEach(updateItem);
+  }
+
+  /**
+   * Removes the ARIA attributes that were set by `_updateAriaAttributes()`.
+   * @private
+   */
+  _removeAriaAttributes() {
+    const p = this._p;
+
+    if (!p.ariaRole || !p.list)
+      return;
+
+    p.list.removeAttribute('role');
+    p.list.removeAttribute('aria-rowcount');
+    p.list.removeAttribute('aria-colcount');
+    p.list.removeAttribute('aria-multiselectable');
+
+    if (p.virtualWrapper)
+      p.virtualWrapper.removeAttribute('role');
+
+    const removeFromItem = el => {
+      for (let name of AriaItemAttributes)
+        el.removeAttribute(name);
+    };
+
+    p.existingEls.forEach(removeFromItem);
+    p.retainedEls.forEach(removeFromItem);
+  }
+
+  /**
+   * Updates the selected state of the rendered items (class name, and `aria-selected` for roles that support it).
+   * @private
+   */
+  _updateSelectionAttributes() {
+    const p = this._p;
+
+    if (p.selectionMode === 'none' || !p.list)
+      return;
+
+    const selection = p.selection;
+    const className = p.selectedClassName;
+    const hasAriaSelected = p.ariaRole === 'listbox' || p.ariaRole === 'grid';
+
+    if (hasAriaSelected)
+      setAttributeIfChanged(p.list, 'aria-multiselectable', String(p.selectionMode === 'multiple'));
+
+    const updateItem = el => {
+      const index = el[ItemIndexSymbol];
+      if (index === undefined)
+        return;
+
+      const selected = selection.has(index);
+
+      if (className)
+        el.classList.toggle(className, selected);
+
+      if (hasAriaSelected)
+        setAttributeIfChanged(el, 'aria-selected', String(selected));
+    };
+
+    p.existingEls.forEach(updateItem);
+    p.retainedEls.forEach(updateItem);
+  }
+
+  /**
+   * Removes the selected state that was set by `_updateSelectionAttributes()` from the rendered items.
+   * @private
+   */
+  _removeSelectionAttributes() {
+    const p = this._p;
+
+    if (p.selectionMode === 'none' || !p.list)
+      return;
+
+    p.list.removeAttribute('aria-multiselectable');
+
+    const removeFromItem = el => {
+      if (p.selectedClassName)
+        el.classList.remove(p.selectedClassName);
+      el.removeAttribute('aria-selected');
+    };
+
+    p.existingEls.forEach(removeFromItem);
+    p.retainedEls.forEach(removeFromItem);
+  }
+
+  /**
+   * Retrieves the indexes of items that need to stay rendered, even outside the rendered range.
+   * @returns {number[]}
+   * @private
+   */
+  _getRetainedIndexes() {
+    const p = this._p;
+    const indexes = [];
+
+    if (p.stickyHeaderIndex !== -1)
+      indexes.push(p.stickyHeaderIndex);
+
+    // Recycling the focused element would lose the focus
+    const focusedIndex = this._getFocusedItemIndex();
+    if (focusedIndex !== -1 && focusedIndex < p.count && !indexes.includes(focusedIndex))
+      indexes.push(focusedIndex);
+
+    return indexes;
+  }
+
+  /**
+   * Moves the elements of the specified indexes out of the existing elements,
+   *   so they won't be reused or removed. <br />
+   * They are taken back by `_takeRetainedElement()` if they're in the rendered range.
+   * @param {number[]} indexes
+   * @private
+   */
+  _retainElements(indexes) {
+    const p = this._p;
+    const existingEls = p.existingEls;
+
+    for (let index of indexes) {
+      if (p.retainedEls.has(index))
+        continue;
+
+      const i = existingEls.findIndex(x => x[ItemIndexSymbol] === index);
+      if (i === -1)
+        continue;
+
+      const el = existingEls[i];
+
+      // It's not up for reuse anymore, and must not be cleaned up if it's taken back
+      delete el[ReuseElSymbol];
+
+      p.retainedEls.set(index, el);
+      existingEls.splice(i, 1);
+    }
+  }
+
+  /**
+   * Moves the focused element out of the existing elements, so it follows its item when the indexes are invalidated,
+   *   instead of being re-rendered (which would lose the focus).
+   * @private
+   */
+  _retainFocusedElement() {
+    const focusedIndex = this._getFocusedItemIndex();
+
+    if (focusedIndex !== -1)
+      this._retainElements([focusedIndex]);
+  }
+
+  /**
+   * Takes a retained element back, for rendering it in the rendered range.
+   * @param {number} index
+   * @returns {Element|undefined}
+   * @private
+   */
+  _takeRetainedElement(index) {
+    const retainedEls = this._p.retainedEls;
+
+    const el = retainedEls.get(index);
+    if (el !== undefined)
+      retainedEls.delete(index);
+
+    return el;
+  }
+
+  /**
+   * Renders the retained elements that are outside the rendered range, and removes the ones that are not needed anymore.
+   * @param {number[]} indexes
+   * @private
+   */
+  _renderRetainedElements(indexes) {
+    const p = this._p;
+    const retainedEls = p.retainedEls;
+
+    for (let index of Array.from(retainedEls.keys())) {
+      if (!indexes.includes(index))
+        this._removeRetainedElement(index);
+    }
+
+    /** @type {Array<[Element, number]>} */
+    const items = [];
+
+    for (let index of indexes) {
+      let el = retainedEls.get(index);
+
+      if (el) {
+        items.push([el, index]);
+        continue;
+      }
+
+      // Rendered in the rendered range (elements that are still marked for reuse are about to be removed)
+      if (p.existingEls.some(x => x[ItemIndexSymbol] === index && x[ReuseElSymbol] !== true))
+        continue;
+
+      const type = p.itemTypeFn ? p.itemTypeFn(index) : undefined;
+      el = p.itemElementCreatorFn(type);
+      this._setupVirtualItemElement(el);
+      el[ItemIndexSymbol] = index;
+      el[ItemTypeSymbol] = type;
+      el[ItemKeySymbol] = p.getItemKey ? p.getItemKey(index) : undefined;
+
+      if (p.onItemRender)
+        this._renderItemElement(el, index);
+
+      retainedEls.set(index, el);
+      p.currentItemsParent.appendChild(el);
+      items.push([el, index]);
+    }
+
+    this._flowItemElements(items);
+  }
+
+  /**
+   * Removes the retained elements of a range of items, i.e. for re-rendering them.
+   * @param {number} index
+   * @param {number} count
+   * @private
+   */
+  _removeRetainedElementsAt(index, count) {
+    for (let retainedIndex of Array.from(this._p.retainedEls.keys())) {
+      if (retainedIndex >= index && retainedIndex < index + count)
+        this._removeRetainedElement(retainedIndex);
+    }
+  }
+
+  /**
+   * Removes a retained element.
+   * @param {number} index
+   * @private
+   */
+  _removeRetainedElement(index) {
+    const p = this._p;
+    const el = p.retainedEls.get(index);
+    if (!el)
+      return;
+
+    p.retainedEls.delete(index);
+
+    if (el.parentNode)
+      el.parentNode.removeChild(el);
+    p.resizeObserver?.unobserve(el);
+    this._cancelItemRender(el);
+    if (p.onItemUnrender)
+      p.onItemUnrender(el);
+  }
+
+  /**
+   * Scrolls to the item at the specified index. <br />
+   * As positions may be based on estimations, this renders the target area, re-measures,
+   *   and corrects the scroll position until the item is really at the requested alignment. <br />
+   * A subsequent call to `scrollToIndex()` cancels the previous one, resolving it with `false`.
+   * @param {number} index
+   * @param {VirtualListHelper~ScrollToIndexOptions} [options]
+   * @returns {Promise<boolean>} resolves when done, with `true` if the scroll was completed
+   */
+  async scrollToIndex(index, options = {}) {
+    const p = this._p;
+
+    if (typeof index !== 'number' || index < 0 || index >= p.count)
+      return false;
+
+    const align = options.align ?? 'start';
+    const offset = options.offset ?? 0;
+
+    const token = p.scrollToIndexToken = {};
+
+    if (options.behavior === 'smooth' && typeof (p.scrollElement || p.list).scrollTo === 'function') {
+      let target = this._getScrollPositionForIndex(index, align, offset);
+      this._setScrollPosition(target, true);
+
+      // Follow the smooth scroll, and retarget as items get measured on the way
+      let lastPos = NaN, stableFrames = 0;
+
+      for (let frame = 0; frame < MaxSmoothScrollFrames && stableFrames < 3; frame++) {
+        await nextAnimationFrame();
+
+        if (p.scrollToIndexToken !== token)
+          return false;
+
+        if (!p.hookScrollEvent)
+          this.render();
+
+        const pos = this._getScrollPosition();
+        stableFrames = Math.abs(pos - lastPos) < 1 ? stableFrames + 1 : 0;
+        lastPos = pos;
+
+        const newTarget = this._getScrollPositionForIndex(index, align, offset);
+        if (Math.abs(newTarget - target) >= 1) {
+          target = newTarget;
+          this._setScrollPosition(target, true);
+          stableFrames = 0;
+        }
+      }
+    }
+
+    if (p.scrollToIndexToken !== token)
+      return false;
+
+    // Correct the scroll position, as rendering replaces estimated heights with measured ones
+    for (let i = 0; i < MaxScrollCorrectionIterations; i++) {
+      const target = this._getScrollPositionForIndex(index, align, offset);
+      this._setScrollPosition(target);
+      this.render();
+
+      const newTarget = this._getScrollPositionForIndex(index, align, offset);
+      if (Math.abs(newTarget - this._getScrollPosition()) < 1)
+        break;
+    }
+
+    p.scrollToIndexToken = null;
+
+    return true;
+  }
+
+  /**
+   * Retrieves the current scroll position in terms of items, which stays meaningful when the positions
+   *   are rebuilt from estimations, unlike a raw scroll position.
+   * @returns {VirtualListHelper~ScrollState|null} `null` if there are no items
+   */
+  getScrollState() {
+    const p = this._p;
+
+    if (p.count === 0)
+      return null;
+
+    const scrollPos = this._getScrollPosition();
+    let index, itemPos;
+
+    if (p.virtual) {
+      this._updateLanes();
+
+      const itemsTop = scrollPos - this._getItemsOffset();
+      index = Math.min(p.count - 1, this._findFirstVisibleRow(itemsTop) * p.itemsPerRow);
+      itemPos = this._calculateItemPosition(index) + this._getItemsOffset();
+    } else {
+      index = Math.max(0, Math.min(p.count - 1, this._getVisibleIndexRange().first));
+      itemPos = this.getItemPosition(index) ?? 0;
+    }
+
+    return {
+      anchorIndex: index,
+      offsetWithinItem: scrollPos - itemPos,
+    };
+  }
+
+  /**
+   * Scrolls back to a state retrieved by `getScrollState()`. <br />
+   * Like `scrollToIndex()`, the scroll position is corrected as estimated heights are replaced by measured ones.
+   * @param {VirtualListHelper~ScrollState} state
+   * @returns {Promise<boolean>} resolves when done, with `true` if the scroll was completed
+   */
+  restoreScrollState(state) {
+    if (!state || typeof state.anchorIndex !== 'number')
+      return Promise.resolve(false);
+
+    return this.scrollToIndex(state.anchorIndex, {
+      align: 'start',
+      offset: state.offsetWithinItem || 0,
+    });
+  }
+
+  /**
+   * Sets the active item, scrolls it into view, and moves the focus to its element once it's rendered. <br />
+   * Pass `-1` for no active item.
+   * @param {number} index
+   * @param {{focus?: boolean}} [options] - pass `focus: false` to keep the focus where it is
+   * @returns {Promise<boolean>} resolves when done, with `true` if the item was scrolled into view
+   */
+  async setActiveIndex(index, options = {}) {
+    const p = this._p;
+
+    this._setActiveIndex(index);
+
+    const token = p.activeIndexToken = {};
+
+    if (p.activeIndex === -1)
+      return false;
+
+    const scrolled = await this.scrollToIndex(p.activeIndex, { align: 'auto' });
+
+    if (p.activeIndexToken !== token)
+      return false;
+
+    p.activeIndexToken = null;
+
+    if (options.focus !== false)
+      this._focusItemElement(p.activeIndex);
+
+    return scrolled;
+  }
+
+  /**
+   * @returns {number} the index of the active item, or `-1` if there's none
+   */
+  getActiveIndex() {
+    const p = this._p;
+    return p.activeIndex;
+  }
+
+  /**
+   * @returns {number[]} the indexes of the selected items, in ascending order
+   */
+  getSelection() {
+    const p = this._p;
+    return Array.from(p.selection).sort((a, b) => a - b);
+  }
+
+  /**
+   * Replaces the selection. <br />
+   * Invalid indexes are ignored, and in `'single'` selection mode, only the last index is kept.
+   * @param {number[]} indexes
+   * @returns {VirtualListHelper}
+   */
+  setSelection(indexes) {
+    const p = this._p;
+
+    let selection = (indexes || []).filter(x => Number.isInteger(x) && x >= 0 && x < p.count);
+
+    if (p.selectionMode === 'none') {
+      selection = [];
+    } else if (p.selectionMode === 'single') {
+      selection = selection.slice(-1);
+    }
+
+    if (selection.length > 0)
+      p.selectionAnchor = selection[selection.length - 1];
+
+    this._replaceSelection(new Set(selection));
+
+    return this;
+  }
+
+  /**
+   * Tests whether the item at the specified index is selected.
+   * @param {number} index
+   * @returns {boolean}
+   */
+  isSelected(index) {
+    const p = this._p;
+    return p.selection.has(index);
+  }
+
+  /**
+   * Selects the item at the specified index, the way a click does: <br />
+   * By default the item becomes the only selected item. <br />
+   * With `toggle`, the item is toggled, and the rest of the selection is kept. <br />
+   * With `range` (`'multiple'` selection mode only), the range from the last item that was selected by itself
+   *   is selected (added to the selection, with `toggle`).
+   * @param {number} index
+   * @param {VirtualListHelper~SelectOptions} [options]
+   * @returns {VirtualListHelper}
+   */
+  selectIndex(index, options = {}) {
+    const p = this._p;
+
+    if (p.selectionMode === 'none' || !Number.isInteger(index) || index < 0 || index >= p.count)
+      return this;
+
+    const isMultiple = p.selectionMode === 'multiple';
+
+    if (options.range && isMultiple) {
+      let anchor = p.selectionAnchor;
+      if (anchor === -1)
+        anchor = p.activeIndex !== -1 ? p.activeIndex : index;
+
+      const selection = options.toggle ? new Set(p.selection) : new Set();
+      for (let i = Math.min(anchor, index), end = Math.max(anchor, index); i <= end; i++)
+        selection.add(i);
+
+      // The anchor stays, so the range can be adjusted
+      p.selectionAnchor = anchor;
+      this._replaceSelection(selection);
+      return this;
+    }
+
+    p.selectionAnchor = index;
+
+    if (options.toggle) {
+      const selection = isMultiple ? new Set(p.selection) : new Set(p.selection.has(index) ? [index] : []);
+
+      if (selection.has(index)) {
+        selection.delete(index);
+      } else {
+        selection.add(index);
+      }
+
+      this._replaceSelection(selection);
+    } else {
+      this._replaceSelection(new Set([index]));
+    }
+
+    return this;
+  }
+
+  /**
+   * Clears the selection.
+   * @returns {VirtualListHelper}
+   */
+  clearSelection() {
+    return this.setSelection([]);
+  }
+
+  /**
+   * Replaces the selection, updates the rendered items, and notifies of the change.
+   * @param {Set<number>} selection
+   * @private
+   */
+  _replaceSelection(selection) {
+    const p = this._p;
+    const previous = p.selection;
+
+    if (selection.size === previous.size && Array.from(selection).every(x => previous.has(x)))
+      return;
+
+    p.selection = selection;
+
+    if (p.selectionAnchor >= p.count)
+      p.selectionAnchor = -1;
+
+    this._updateSelectionAttributes();
+    p.onSelectionChange?.(this.getSelection());
+  }
+
+  /**
+   * Moves the selected indexes along with their items, following items that were added or removed. <br />
+   * Removed items are not selected anymore.
+   * @param {number} index
+   * @param {number} delta - the count of added items, or negative count of removed items
+   * @private
+   */
+  _shiftSelection(index, delta) {
+    this._mapSelection(x => {
+      if (x < index)
+        return x;
+
+      if (delta < 0 && x < index - delta)
+        return -1;
+
+      return x + delta;
+    });
+  }
+
+  /**
+   * Maps the selected indexes (and the selection anchor), following a change to the items.
+   * @param {function(index: number):number} mapIndex - returns `-1` for indexes that are not selected anymore
+   * @private
+   */
+  _mapSelection(mapIndex) {
+    const p = this._p;
+
+    if (p.selectionAnchor !== -1)
+      p.selectionAnchor = mapIndex(p.selectionAnchor);
+
+    if (p.selection.size === 0)
+      return;
+
+    const selection = new Set();
+    for (let index of p.selection) {
+      index = mapIndex(index);
+      if (index !== -1)
+        selection.add(index);
+    }
+
+    this._replaceSelection(selection);
+  }
+
+  /**
+   * Handles the selection by clicking items.
+   * @param {MouseEvent} event
+   * @private
+   */
+  _onClick(event) {
+    const p = this._p;
 
-        for (let index = 0; index < count; index++) {
-          // Find existing element to reuse
-          let existingEl = existingEls.find(x => x[ItemIndexSymbol] === index && x[ReuseElSymbol] === true);
+    if (event.defaultPrevented || p.selectionMode === 'none' || isEditableElement(event.target))
+      return;
 
-          if (existingEl !== undefined) {
-            delete existingEl[ReuseElSymbol];
-          }
+    const index = this._getItemIndexOfNode(event.target);
+    if (index === -1)
+      return;
 
-          if (before && before === existingEl)
-            before = before.nextSibling;
+    this.selectIndex(index, { toggle: event.ctrlKey || event.metaKey, range: event.shiftKey });
+    this._setActiveIndex(index);
+  }
 
-          // Dequeue the element by reusing or creating a new one
-          const itemEl = this._dequeueElementForIndex(existingEl, index, before, true);
+  /**
+   * Sets the active index, and notifies of the change.
+   * @param {number} index
+   * @private
+   */
+  _setActiveIndex(index) {
+    const p = this._p;
 
-          fragment = insertBeforeWithFragment(itemEl, fragment, before, itemParent);
-        }
+    index = Math.max(-1, Math.min(Math.floor(Number(index)), p.count - 1));
+    if (isNaN(index))
+      index = -1;
 
-        // Insert any remaining fragment
-        if (fragment && fragment.childNodes.length > 0) {
-          insertBefore(fragment, before, itemParent);
-        }
+    if (p.activeIndex === index)
+      return;
+
+    p.activeIndex = index;
+    p.onActiveIndexChange?.(index);
+  }
+
+  /**
+   * Moves the focus to the element of the item at the specified index, if it's rendered. <br />
+   * The element is made focusable if it isn't already.
+   * @param {number} index
+   * @private
+   */
+  _focusItemElement(index) {
+    const itemEl = this.getItemElementAt(index);
+
+    if (!itemEl || typeof itemEl.focus !== 'function')
+      return;
+
+    if (!itemEl.hasAttribute('tabindex'))
+      itemEl.setAttribute('tabindex', '-1');
+
+    itemEl.focus({ preventScroll: true });
+  }
+
+  /**
+   * Retrieves the index of the item whose element contains the focus.
+   * @returns {number} `-1` if the focus is not inside an item element
+   * @private
+   */
+  _getFocusedItemIndex() {
+    const p = this._p;
+    return p.list ? this._getItemIndexOfNode(p.list.ownerDocument.activeElement) : -1;
+  }
+
+  /**
+   * Retrieves the index of the item whose element contains the specified node.
+   * @param {Node|null} node
+   * @returns {number} `-1` if the node is not inside an item element
+   * @private
+   */
+  _getItemIndexOfNode(node) {
+    const p = this._p;
+    const list = p.list;
+
+    for (; node && node !== list; node = node.parentNode) {
+      const index = node[ItemIndexSymbol];
+      if (index !== undefined)
+        return index;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Handles the keyboard navigation.
+   * @param {KeyboardEvent} event
+   * @private
+   */
+  _onKeyDown(event) {
+    const p = this._p;
+
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || p.count === 0)
+      return;
+
+    // Keys belong to the inputs inside of items
+    if (isEditableElement(event.target))
+      return;
+
+    const horizontal = p.orientation === 'horizontal';
+    const forward = horizontal ? (p.isRtl ? 'ArrowLeft' : 'ArrowRight') : 'ArrowDown';
+    const backward = horizontal ? (p.isRtl ? 'ArrowRight' : 'ArrowLeft') : 'ArrowUp';
+    const crossForward = horizontal ? 'ArrowDown' : (p.isRtl ? 'ArrowLeft' : 'ArrowRight');
+    const crossBackward = horizontal ? 'ArrowUp' : (p.isRtl ? 'ArrowRight' : 'ArrowLeft');
+    const isMultiLane = p.layout !== 'list' && p.virtual;
+
+    const rowStep = p.layout === 'grid' && p.virtual ? this.getColumnCount() : 1;
+
+    let current = p.activeIndex;
+    if (current === -1)
+      current = this._getFocusedItemIndex();
+
+    // Without an active item, navigation starts at the first visible item
+    const moveBy = delta => current === -1 ? this.getVisibleRange().firstVisible : current + delta;
+
+    let index;
+
+    switch (event.key) {
+      case forward:
+        index = moveBy(rowStep);
+        break;
+
+      case backward:
+        index = moveBy(-rowStep);
+        break;
+
+      case crossForward:
+        if (!isMultiLane)
+          return;
+        index = moveBy(1);
+        break;
+
+      case crossBackward:
+        if (!isMultiLane)
+          return;
+        index = moveBy(-1);
+        break;
+
+      case 'Home':
+        index = 0;
+        break;
+
+      case 'End':
+        index = p.count - 1;
+        break;
+
+      case 'PageDown':
+        index = moveBy(Math.max(1, this.getVisibleItemCount() - 1));
+        break;
+
+      case 'PageUp':
+        index = moveBy(-Math.max(1, this.getVisibleItemCount() - 1));
+        break;
+
+      case ' ':
+        if (p.selectionMode === 'none' || p.activeIndex === -1)
+          return;
+
+        event.preventDefault();
+        this.selectIndex(p.activeIndex, { toggle: true, range: event.shiftKey });
+        return;
+
+      default:
+        return;
+    }
+
+    event.preventDefault();
+
+    index = Math.max(0, Math.min(index, p.count - 1));
+
+    // Shift extends the selection along with the active item
+    if (event.shiftKey && p.selectionMode === 'multiple')
+      this.selectIndex(index, { range: true });
+
+    this.setActiveIndex(index);
+  }
+
+  /**
+   * Renders a temporary ghost item. Can be used for testings several aspects of a proposed element, i.e measurements.
+   * @param {*} ghostIndex - the value to pass as the index for the renderer function
+   * @param {boolean} append - whether to append the item element to the DOM
+   * @param {function(itemEl: Element)} ghostTester - the function that will receive the element, called synchronously.
+   */
+  createGhostItemElement(ghostIndex, append, ghostTester) {
+    const p = this._p;
+
+    let itemEl = this._dequeueElementForIndex(null, ghostIndex, false, true);
+    try {
+      if (append) {
+        p.currentItemsParent.appendChild(itemEl);
+      }
+      ghostTester(itemEl);
+    } finally {
+      if (append) {
+        let parent = itemEl.parentNode;
+        if (parent)
+          parent.removeChild(itemEl);
       }
+      this._cancelItemRender(itemEl);
+      if (p.onItemUnrender)
+        p.onItemUnrender(itemEl);
     }
+  }
 
-    // Cleanup extra unused elements
-    existingCount = existingEls.length; // May have changed
-    for (let i = 0; i < existingCount; i++) {
-      const el = existingEls[i];
-      if (el[ReuseElSymbol] !== true) continue;
+  /**
+   * Reset the pointer to the current items wrapper
+   * @private
+   */
+  _resetCurrentItemsParent() {
+    const p = this._p;
+    p.currentItemsParent = p.virtualWrapper ?? p.userItemsParent ?? p.list;
+  }
 
-      let parent = el.parentNode;
-      if (parent)
-        parent.removeChild(el);
-      if (onItemUnrender && el[ItemIndexSymbol] !== undefined)
-        onItemUnrender(el);
-      existingEls.splice(i, 1);
+  /**
+   * Disables the browser's native scroll anchoring when we are handling it.
+   * @private
+   */
+  _updateOverflowAnchor() {
+    const p = this._p;
 
-      i--;
-      existingCount--;
+    if (p.list)
+      p.list.style.overflowAnchor = (p.scrollAnchoring || p.stickToBottom) ? 'none' : '';
+  }
+
+  /**
+   * Updates the stuck-to-bottom state, and notifies of the change.
+   * @param {boolean} stuck
+   * @private
+   */
+  _setStuckToBottom(stuck) {
+    const p = this._p;
+
+    if (p.stuckToBottom === stuck)
+      return;
+
+    p.stuckToBottom = stuck;
+    p.onStickToBottomChange?.(stuck);
+  }
+
+  /**
+   * Updates the size of the virtual wrapper according to the estimated full height,
+   *   and notifies of a scroll height change.
+   * @private
+   */
+  _updateVirtualWrapperSize() {
+    const p = this._p;
+    const virtualWrapper = p.virtualWrapper;
+
+    let scrollHeight = this.estimateFullHeight();
+    let scrollHeightPx = (p.maxScrollHeight > 0 ? Math.min(scrollHeight, p.maxScrollHeight) : scrollHeight) + 'px';
+
+    const sizeProp = p.orientation === 'horizontal' ? 'width' : 'height';
+    if (virtualWrapper.style[sizeProp] !== scrollHeightPx) {
+      virtualWrapper.style[sizeProp] = scrollHeightPx;
+      p.onScrollHeightChange?.(scrollHeight);
     }
   }
 
   /**
-   * States that items were added at a certain position in the list. <br />
-   * Virtual mode: Call `render()` to update the view after making changes.
-   * @param {number} count
-   * @param {number} [atIndex=-1]
-   * @returns {VirtualListHelper}
+   * Retrieves the estimated size of all items together, not including loading indicators.
+   * @returns {number}
+   * @private
    */
-  addItemsAt(count, atIndex = -1) {
-    if (typeof count !== 'number' || count <= 0)
-      return this;
+  _getItemsHeight() {
+    const p = this._p;
+
+    if (p.count === 0)
+      return 0;
+
+    return this._calculateItemPosition(p.count) || 0;
+  }
 
+  /**
+   * Retrieves the position of the first item within the scrollable area. <br />
+   * This accounts for short lists aligned to the bottom, and for the loading indicator at the start.
+   * @returns {number}
+   * @private
+   */
+  _getItemsOffset() {
     const p = this._p;
+    return p.contentOffset + this._getLoadingIndicatorSize(true);
+  }
 
-    if (atIndex < 0 || atIndex >= p.count)
-      atIndex = p.count;
+  /**
+   * Captures the first fully visible item as the scroll anchor, with its current position.
+   * @param {number} scrollPos
+   * @private
+   */
+  _captureScrollAnchor(scrollPos) {
+    const p = this._p;
 
-    p.count += count;
+    if (p.count === 0) {
+      p.scrollAnchor = null;
+      return;
+    }
 
-    if (p.virtual) {
-      if (atIndex >= 0 && atIndex < p.count) {
-        this._invalidateItemIndexesAt(atIndex, -1);
-      }
+    // Rows (and items, in masonry layout) start at monotonic positions
+    let row;
+    if (p.layout === 'masonry') {
+      row = binarySearchFirst(p.cachedItemPositions, x => x >= scrollPos);
+    } else {
+      this._calculateRowPosition(this._getRowCount());
+      row = scrollPos > 0 ? fenwickSearch(p.rowHeightsTree, scrollPos) + 1 : 0;
     }
-    else { // non-virtual
-      let existingEls = p.existingEls;
-      let existingCount = existingEls.length;
-      if (existingCount !== p.count - count)
-        return this;
 
-      let existingRange = this._getExistingElsRange();
-      if (existingRange.firstValidArrayIndex === -1)
-        return this;
+    if (row >= this._getRowCount())
+      row = this._findFirstVisibleRow(scrollPos);
 
-      const itemParent = p.currentItemsParent;
+    const index = Math.min(p.count - 1, row * p.itemsPerRow);
 
-      let startIndex = existingRange.firstValidArrayIndex + atIndex - existingRange.firstIndex;
+    p.scrollAnchor = {
+      index: index,
+      pos: this._calculateItemPosition(index) + this._getItemsOffset(),
+    };
+  }
 
-      this._pushItemIndexesAt(atIndex, count);
+  /**
+   * Adjusts the scroll position so the anchor item stays in place on screen, if its position has changed.
+   * @returns {boolean} whether the scroll position was adjusted
+   * @private
+   */
+  _applyScrollAnchor() {
+    const p = this._p;
+    const anchor = p.scrollAnchor;
 
-      /** @type Node|undefined */
-      let before = existingEls[startIndex - 1]
-          ? existingEls[startIndex - 1].nextSibling
-          : existingEls[0];
+    if (!anchor)
+      return false;
 
-      /** @type DocumentFragment|null */
-      let fragment = null;
+    if (anchor.index >= p.count) {
+      p.scrollAnchor = null;
+      return false;
+    }
 
-      for (let index = atIndex, end = atIndex + count; index < end; index++) {
-        const itemEl = this._dequeueElementForIndex(undefined, index, before, true);
-        fragment = insertBeforeWithFragment(itemEl, fragment, before, itemParent);
-      }
+    const pos = this._calculateItemPosition(anchor.index) + this._getItemsOffset();
+    const delta = pos - anchor.pos;
+    anchor.pos = pos;
 
-      // Insert any remaining fragment
-      if (fragment && fragment.childNodes.length > 0) {
-        insertBefore(fragment, before, itemParent);
-      }
+    if (delta === 0)
+      return false;
+
+    // Make sure the scrollable range allows the adjustment
+    this._updateVirtualWrapperSize();
+
+    const scrollPos = this._getScrollPosition();
+    this._setScrollPosition(scrollPos + delta);
+
+    return this._getScrollPosition() !== scrollPos;
+  }
+
+  /**
+   * Retrieves the current scroll position along the main axis, in the coordinates of the items
+   *   (which are scaled from the native scroll position, in scaled-scroll mode).
+   * @returns {number}
+   * @private
+   */
+  _getScrollPosition() {
+    const p = this._p;
+    const nativePos = this._getNativeScrollPosition();
+    const scale = this._getScrollScale();
+
+    if (scale && p.scaledScrollPin && p.scaledScrollPin.nativePos === nativePos)
+      return p.scaledScrollPin.pos;
+
+    p.scaledScrollPin = null;
+
+    if (!scale || nativePos <= 0)
+      return nativePos;
+
+    if (nativePos >= scale.nativeRange)
+      return nativePos - scale.nativeRange + scale.range;
+
+    return nativePos * scale.range / scale.nativeRange;
+  }
+
+  /**
+   * Retrieves the current native scroll position along the main axis. <br />
+   * For RTL horizontal lists, this is the distance scrolled from the right edge. <br />
+   * With a `scrollElement`, this is how far the start of the list is past the start of the scroll element's viewport,
+   *   which is negative while the list starts further down.
+   * @returns {number}
+   * @private
+   */
+  _getNativeScrollPosition() {
+    const p = this._p, list = p.list;
+
+    if (p.scrollElement) {
+      return this._getScrollElementViewportRect().start -
+          this._getMainAxisRect(list.getBoundingClientRect()).start;
     }
 
-    return this;
+    if (p.orientation === 'horizontal')
+      return getScrollHorz(list, p.isRtl);
+
+    return list.scrollTop;
   }
 
   /**
-   * States that items were removed at a certain position in the list. <br />
-   * Virtual mode: Call `render()` to update the view after making changes.
-   * @param {number} count
-   * @param {number} atIndex
-   * @returns {VirtualListHelper}
+   * Sets the scroll position along the main axis.
+   * @param {number} pos
+   * @param {boolean} [smooth=false]
+   * @private
    */
-  removeItemsAt(count, atIndex) {
+  _setScrollPosition(pos, smooth = false) {
     const p = this._p;
+    const horizontal = p.orientation === 'horizontal';
+    const scroller = p.scrollElement || p.list;
+    const scale = this._getScrollScale();
+    const requestedPos = pos;
+    let nativePos;
+
+    if (scale && pos > 0) {
+      pos = pos >= scale.range
+          ? pos - scale.range + scale.nativeRange
+          : pos * scale.nativeRange / scale.range;
+    }
 
-    if (typeof count !== 'number' || typeof atIndex !== 'number' || count <= 0 || atIndex < 0 || atIndex >= p.count)
-      return this;
+    if (p.scrollElement) {
+      // The list moves along with the scroll element, so move the scroll element by the difference
+      const delta = pos - this._getNativeScrollPosition();
 
-    p.count -= Math.min(count, p.count - atIndex);
+      if (isWindow(scroller)) {
+        nativePos = horizontal
+            ? scroller.pageXOffset + (p.isRtl ? -delta : delta)
+            : scroller.pageYOffset + delta;
+      } else {
+        nativePos = horizontal
+            ? calculateNativeScrollLeftForHorz(scroller, getScrollHorz(scroller, p.isRtl) + delta, p.isRtl)
+            : scroller.scrollTop + delta;
+      }
+    } else {
+      nativePos = horizontal ? calculateNativeScrollLeftForHorz(scroller, pos, p.isRtl) : pos;
+    }
 
-    if (p.virtual) {
-      this._invalidateItemIndexesAt(atIndex, -1);
+    if (smooth || isWindow(scroller)) {
+      scroller.scrollTo({ [horizontal ? 'left' : 'top']: nativePos, behavior: smooth ? 'smooth' : 'auto' });
+    } else if (horizontal) {
+      scroller.scrollLeft = nativePos;
+    } else {
+      scroller.scrollTop = nativePos;
     }
-    else { // non-virtual
-      let existingEls = p.existingEls;
-      let existingCount = existingEls.length;
-      if (existingCount !== p.count + count)
-        return this;
 
-      let existingRange = this._getExistingElsRange();
-      if (existingRange.firstValidArrayIndex === -1)
-        return this;
+    p.scaledScrollPin = null;
 
-      this._pushItemIndexesAt(atIndex + count, -count);
+    if (scale && !smooth) {
+      // The native scroll position is rounded, while positions are scaled up, so keep the exact position
+      const actualPos = this._getNativeScrollPosition();
+      if (Math.abs(actualPos - pos) < 1)
+        p.scaledScrollPin = { nativePos: actualPos, pos: requestedPos };
+    }
+  }
 
-      const onItemUnrender = p.onItemUnrender;
-      let index = existingRange.firstValidArrayIndex + atIndex - existingRange.firstIndex;
-      if (index < existingEls.length) {
-        for (let i = 0; i < count; i++) {
-          let itemEl = existingEls[index + i];
+  /**
+   * Retrieves the ranges of the scroll positions, if scrolling in a scaled manner
+   *   (when the full height exceeds `maxScrollHeight`).
+   * @returns {{nativeRange: number, range: number}|null} the native range and the range of the scroll positions it covers,
+   *   or `null` if not scaled
+   * @private
+   */
+  _getScrollScale() {
+    const p = this._p;
 
-          let parent = itemEl.parentNode;
-          if (parent)
-            parent.removeChild(itemEl);
-          if (onItemUnrender && itemEl[ItemIndexSymbol] !== undefined)
-            onItemUnrender(itemEl);
-        }
-        existingEls.splice(index, count);
-      }
-    }
+    if (!p.virtual || !(p.maxScrollHeight > 0))
+      return null;
 
-    return this;
+    const fullHeight = this.estimateFullHeight();
+    if (fullHeight <= p.maxScrollHeight)
+      return null;
+
+    const viewportSize = this._getViewportSize();
+    const nativeRange = p.maxScrollHeight - viewportSize;
+    if (nativeRange <= 0)
+      return null;
+
+    return {
+      nativeRange: nativeRange,
+      range: fullHeight - viewportSize,
+    };
   }
 
   /**
-   * Mark an element for a re-render. <br />
-   * Virtual mode: Call `render()` to update the view after making changes. <br />
-   * Non-virtual mode - the element is re-rendered immediately.
-   * @param {number} index - the index of the element to re-render
-   * @returns {VirtualListHelper}
+   * Calculates the scroll position that would bring the item at the specified index to the requested alignment. <br />
+   * The result is clamped to the scrollable range.
+   * @param {number} index
+   * @param {'start'|'center'|'end'|'auto'} align
+   * @param {number} offset
+   * @returns {number}
+   * @private
    */
-  refreshItemAt(index) {
+  _getScrollPositionForIndex(index, align, offset) {
     const p = this._p;
 
-    if (typeof index !== 'number' || index < 0 || index >= p.count)
-      return this;
+    let itemPos, itemSize;
 
     if (p.virtual) {
-      this._invalidateItemIndexesAt(index, 1);
+      itemPos = this._calculateItemPosition(index) + this._getItemsOffset();
+      itemSize = p.layout === 'grid'
+          ? this._getRowHeight(Math.floor(index / p.itemsPerRow))
+          : this._getItemHeight(index);
+    } else {
+      const itemEl = this.getItemElementAt(index);
+      if (!itemEl)
+        return this._getScrollPosition();
+
+      itemPos = this.getItemPosition(index);
+      itemSize = this._getMainAxisRect(itemEl.getBoundingClientRect()).size;
     }
-    else { // non-virtual
-      let existingEls = p.existingEls;
-      let existingCount = existingEls.length;
-      if (existingCount !== p.count)
-        return this;
 
-      let existingRange = this._getExistingElsRange();
+    const scrollPos = this._getScrollPosition();
+    const viewportSize = this._getViewportSize();
 
-      if (index >= existingRange.firstIndex && index <= existingRange.lastIndex) {
-        let itemEl = existingEls[existingRange.firstValidArrayIndex + index - existingRange.firstIndex];
-        delete itemEl[ItemIndexSymbol];
-        this._dequeueElementForIndex(itemEl, index, itemEl.nextSibling, false);
-      }
+    if (align === 'auto') {
+      if (itemPos >= scrollPos && itemPos + itemSize <= scrollPos + viewportSize)
+        return scrollPos;
+
+      align = (itemPos < scrollPos || itemSize > viewportSize) ? 'start' : 'end';
     }
 
-    return this;
+    let target;
+
+    switch (align) {
+      case 'center':
+        target = itemPos + itemSize / 2 - viewportSize / 2;
+        break;
+
+      case 'end':
+        target = itemPos + itemSize - viewportSize;
+        break;
+
+      default:
+        target = itemPos;
+        break;
+    }
+
+    target += offset;
+
+    const maxScrollPos = Math.max(0, this.estimateFullHeight() - viewportSize);
+    return Math.max(0, Math.min(target, maxScrollPos));
   }
 
   /**
-   * Tests whether an item at the specified index is rendered.
-   * @param {number} index - the index to test
-   * @returns {boolean}
+   * Retrieves the visible size of the viewport along the main axis.
+   * @returns {number}
+   * @private
    */
-  isItemRendered(index) {
-    const p = this._p;
+  _getViewportSize() {
+    const p = this._p, list = p.list;
 
-    if (typeof index !== 'number' || index < 0 || index >= p.count)
-      return false;
+    if (p.scrollElement)
+      return this._getScrollElementViewportRect().size;
 
-    let existingRange = this._getExistingElsRange();
+    return p.orientation === 'horizontal' ? list.clientWidth : list.clientHeight;
+  }
 
-    return index >= existingRange.firstIndex && index <= existingRange.lastIndex;
+  /**
+   * Retrieves the size of the list across the scrolling axis (its width, or its height in horizontal mode).
+   * @returns {number}
+   * @private
+   */
+  _getListCrossSize() {
+    const p = this._p, list = p.list;
+    return p.orientation === 'horizontal' ? list.clientHeight : list.clientWidth;
   }
 
   /**
-   * Retrieves DOM element for the item at the specified index - if it's currently rendered.
-   * @param {number} index - the index to retrieve
-   * @returns {Element|undefined}
+   * Retrieves the visible area of the scroll element, in client coordinates along the main axis (excluding borders and scrollbars).
+   * @returns {{start: number, size: number}}
+   * @private
    */
-  getItemElementAt(index) {
-    const p = this._p;
+  _getScrollElementViewportRect() {
+    const scrollElement = this._p.scrollElement;
+    let left, top, width, height;
+
+    if (isWindow(scrollElement)) {
+      const docEl = scrollElement.document.documentElement;
+      left = 0;
+      top = 0;
+      width = docEl.clientWidth;
+      height = docEl.clientHeight;
+    } else {
+      const rect = scrollElement.getBoundingClientRect();
+      left = rect.left + scrollElement.clientLeft;
+      top = rect.top + scrollElement.clientTop;
+      width = scrollElement.clientWidth;
+      height = scrollElement.clientHeight;
+    }
 
-    if (typeof index !== 'number' || index < 0 || index >= p.count)
-      return undefined;
+    return this._getMainAxisRect({ left: left, top: top, right: left + width, width: width, height: height });
+  }
 
-    let existingEls = p.existingEls;
-    let existingRange = this._getExistingElsRange();
+  /**
+   * Translates a client rect into a start/size pair along the main axis. <br />
+   * For RTL horizontal lists, `start` grows from right to left.
+   * @param {DOMRect} rect
+   * @returns {{start: number, size: number}}
+   * @private
+   */
+  _getMainAxisRect(rect) {
+    const p = this._p;
 
-    if (index >= existingRange.firstIndex && index <= existingRange.lastIndex) {
-      return existingEls[existingRange.firstValidArrayIndex + index - existingRange.firstIndex];
+    if (p.orientation === 'horizontal') {
+      return p.isRtl
+          ? { start: -rect.right, size: rect.width }
+          : { start: rect.left, size: rect.width };
     }
 
-    return undefined;
+    return { start: rect.top, size: rect.height };
   }
 
   /**
-   * Retrieves the position for the specified index. <br />
-   * Can be used to scroll to a specific item.
-   * @param {number} index
-   * @returns {number|undefined}
+   * Destroy all created elements, for cleanup
+   * @returns {VirtualListHelper}
+   * @private
    */
-  getItemPosition(index) {
+  _destroyElements() {
     const p = this._p;
+    const onItemUnrender = p.onItemUnrender;
+    const existingEls = p.existingEls;
 
-    if (typeof index !== 'number' || index < 0 || index >= p.count)
-      return undefined;
+    for (let index of Array.from(p.retainedEls.keys()))
+      this._removeRetainedElement(index);
 
-    if (p.virtual) {
-      return this._calculateItemPosition(index);
-    } else {
-      let itemEl = this.getItemElementAt(index);
-      if (itemEl === undefined)
-        return undefined;
+    p.stickyHeaderEl = null;
 
-      const list = p.list;
-      return getElementOffset(itemEl).top - getElementOffset(list).top + list.scrollTop;
+    for (let i = 0; i < existingEls.length; i++) {
+      const el = existingEls[i];
+
+      let parent = el.parentNode;
+      if (parent)
+        parent.removeChild(el);
+      p.resizeObserver?.unobserve(el);
+      this._cancelItemRender(el);
+      if (onItemUnrender && el[ItemIndexSymbol] !== undefined)
+        onItemUnrender(el);
+    }
+
+    existingEls.length = 0;
+
+    for (let el of [p.loadingStartEl, p.loadingEndEl]) {
+      if (!el) continue;
+
+      if (el.parentNode)
+        el.parentNode.removeChild(el);
+      if (onItemUnrender)
+        onItemUnrender(el);
+    }
+    p.loadingStartEl = p.loadingEndEl = null;
+
+    p.elementPools.clear();
+
+    if (p.virtualWrapper) {
+      if (p.virtualWrapper !== p.userItemsParent) {
+        if (p.virtualWrapper.parentNode) {
+          p.virtualWrapper.parentNode.removeChild(p.virtualWrapper);
+        }
+      }
+      p.virtualWrapper = null;
+      this._resetCurrentItemsParent();
     }
+
+    return this;
   }
 
   /**
-   * Retrieves the item index for the specified element
-   * @param {Element} el
-   * @returns {number|undefined}
+   * Marks (an) item(s) at specific index(es) as to be re-rendered. <br />
+   * Retained elements are not affected: They should be shifted along with their items (`_shiftRetainedElements()`),
+   *   or removed if their items have changed (`_removeRetainedElementsAt()`). <br />
+   * Applicable for virtual mode only.
+   * @param {number} index
+   * @param {number} count
+   * @private
    */
-  getItemIndexFromElement(el) {
-    return el ? el[ItemIndexSymbol] : undefined;
+  _invalidateItemIndexesAt(index, count) {
+    const p = this._p;
+
+    this._setItemPositionsNeedsUpdate(index);
+
+    // Section headers may have moved
+    const cachedSectionHeaderIndexes = p.cachedSectionHeaderIndexes;
+    if (cachedSectionHeaderIndexes.length > index)
+      cachedSectionHeaderIndexes.length = index;
+
+    const end = count === -1 ? Infinity : index + count;
+
+    // Clean. Elements are matched by their index, as moved or shifted items
+    //   may leave the existing elements out of order until the next render.
+    for (let el of p.existingEls) {
+      const itemIndex = el[ItemIndexSymbol];
+      if (itemIndex !== undefined && itemIndex >= index && itemIndex < end)
+        delete el[ItemIndexSymbol];
+    }
   }
 
   /**
-   * Retrieves the size (or estimated size, if unknown) for the specified index. <br />
+   * Moves the cached measurements and the item-index markers of the items from a specific index,
+   *   following items that were added or removed. <br />
+   * Elements of removed items are removed. <br />
+   * Applicable for virtual mode only.
    * @param {number} index
-   * @returns {number|undefined}
+   * @param {number} delta - the count of added items, or negative count of removed items
+   * @private
    */
-  getItemSize(index) {
+  _shiftItemIndexesAt(index, delta) {
     const p = this._p;
+    const onItemUnrender = p.onItemUnrender;
 
-    if (typeof index !== 'number' || index < 0 || index >= p.count)
-      return undefined;
+    if (delta === 0)
+      return;
 
-    let height = p.cachedItemHeights[index - 1]; // already calculated
+    this._setItemPositionsNeedsUpdate(index);
 
-    if (height === undefined) {
-      height = p.itemHeightEstimatorFn ? p.itemHeightEstimatorFn(index - 1) : null; // estimated per item
+    shiftArraySlots(p.cachedItemHeights, index, delta);
+    shiftArraySlots(p.cachedItemEstimatedHeights, index, delta);
 
-      if (typeof height !== 'number')
-        height = p.estimatedItemHeight; // estimated
+    const cachedSectionHeaderIndexes = p.cachedSectionHeaderIndexes;
+    if (cachedSectionHeaderIndexes.length > index)
+      cachedSectionHeaderIndexes.length = index;
 
-      p.cachedItemEstimatedHeights[index - 1] = height;
+    const existingEls = p.existingEls;
+    for (let i = 0; i < existingEls.length; i++) {
+      const el = existingEls[i];
+      const itemIndex = el[ItemIndexSymbol];
+
+      if (itemIndex === undefined || itemIndex < index)
+        continue;
+
+      if (delta < 0 && itemIndex < index - delta) {
+        if (el.parentNode)
+          el.parentNode.removeChild(el);
+        p.resizeObserver?.unobserve(el);
+        this._cancelItemRender(el);
+        if (onItemUnrender)
+          onItemUnrender(el);
+        existingEls.splice(i--, 1);
+        continue;
+      }
+
+      el[ItemIndexSymbol] = itemIndex + delta;
     }
 
-    return height;
+    this._shiftRetainedElements(index, delta);
   }
 
   /**
-   * Retrieves the number of items that fit into the current viewport.
-   * @returns {number}
+   * Moves the retained elements of the items from a specific index, following items that were added or removed. <br />
+   * Retained elements of removed items are removed.
+   * @param {number} index
+   * @param {number} delta - the count of added items, or negative count of removed items
+   * @private
    */
-  getVisibleItemCount() {
-    const p = this._p, list = p.list;
+  _shiftRetainedElements(index, delta) {
+    const retainedEls = this._p.retainedEls;
 
-    let scrollTop = list.scrollTop;
-    let visibleHeight = list.clientHeight;
-    let firstVisibleIndex, lastVisibleIndex;
+    for (let itemIndex of Array.from(retainedEls.keys()).sort((a, b) => delta > 0 ? b - a : a - b)) {
+      if (itemIndex < index)
+        continue;
 
-    if (p.virtual) {
-      firstVisibleIndex = binarySearchPosition(p.cachedItemPositions, scrollTop);
-      lastVisibleIndex = binarySearchPosition(p.cachedItemPositions, scrollTop + visibleHeight, firstVisibleIndex);
-    }
-    else {
-      const retriever = i => {
-        let pos = this.getItemPosition(i);
-        if (pos === undefined)
-          pos = Infinity;
-        return pos;
-      };
+      if (delta < 0 && itemIndex < index - delta) {
+        this._removeRetainedElement(itemIndex);
+        continue;
+      }
 
-      firstVisibleIndex = binarySearchPositionByFn(p.count, retriever, scrollTop);
-      lastVisibleIndex = binarySearchPositionByFn(p.count, retriever, scrollTop + visibleHeight, firstVisibleIndex);
+      const el = retainedEls.get(itemIndex);
+      retainedEls.delete(itemIndex);
+      retainedEls.set(itemIndex + delta, el);
+      el[ItemIndexSymbol] = itemIndex + delta;
     }
-
-    if (this.getItemPosition(lastVisibleIndex) === scrollTop + visibleHeight)
-      lastVisibleIndex--;
-    return (lastVisibleIndex - firstVisibleIndex) + 1;
   }
 
   /**
-   * Renders a temporary ghost item. Can be used for testings several aspects of a proposed element, i.e measurements.
-   * @param {*} ghostIndex - the value to pass as the index for the renderer function
-   * @param {boolean} append - whether to append the item element to the DOM
-   * @param {function(itemEl: Element)} ghostTester - the function that will receive the element, called synchronously.
+   * Moves the cached measurements and the item-index markers of items that were moved to another index. <br />
+   * The elements of the moved items are re-rendered at their new index. <br />
+   * Applicable for virtual mode only.
+   * @param {number} from
+   * @param {number} count
+   * @param {number} to - the index that the first moved item ends up at
+   * @private
    */
-  createGhostItemElement(ghostIndex, append, ghostTester) {
+  _moveItemIndexes(from, count, to) {
     const p = this._p;
 
-    let itemEl = this._dequeueElementForIndex(null, ghostIndex, false, true);
-    try {
-      if (append) {
-        p.currentItemsParent.appendChild(itemEl);
+    const isMoved = itemIndex => itemIndex >= from && itemIndex < from + count;
+
+    const mapIndex = itemIndex => mapMovedIndex(itemIndex, from, count, to);
+
+    // The range of indexes that are affected
+    const start = Math.min(from, to);
+    const end = Math.max(from, to) + count;
+
+    this._setItemPositionsNeedsUpdate(start);
+
+    p.cachedItemHeights.length = p.count;
+    p.cachedItemEstimatedHeights.length = p.count;
+    moveArraySlots(p.cachedItemHeights, from, count, to);
+    moveArraySlots(p.cachedItemEstimatedHeights, from, count, to);
+
+    const cachedSectionHeaderIndexes = p.cachedSectionHeaderIndexes;
+    if (cachedSectionHeaderIndexes.length > start)
+      cachedSectionHeaderIndexes.length = start;
+
+    for (let el of p.existingEls) {
+      const itemIndex = el[ItemIndexSymbol];
+      if (itemIndex === undefined || itemIndex < start || itemIndex >= end)
+        continue;
+
+      if (isMoved(itemIndex)) {
+        delete el[ItemIndexSymbol];
+      } else {
+        el[ItemIndexSymbol] = mapIndex(itemIndex);
+      }
+    }
+
+    const retainedEls = p.retainedEls;
+    const shiftedRetainedEls = [];
+    for (let itemIndex of Array.from(retainedEls.keys())) {
+      if (itemIndex < start || itemIndex >= end)
+        continue;
+
+      if (isMoved(itemIndex)) {
+        this._removeRetainedElement(itemIndex);
+        continue;
       }
-      ghostTester(itemEl);
-    } finally {
-      if (append) {
-        let parent = itemEl.parentNode;
-        if (parent)
-          parent.removeChild(itemEl);
+
+      const el = retainedEls.get(itemIndex);
+      retainedEls.delete(itemIndex);
+      el[ItemIndexSymbol] = mapIndex(itemIndex);
+      shiftedRetainedEls.push(el);
+    }
+    for (let el of shiftedRetainedEls)
+      retainedEls.set(el[ItemIndexSymbol], el);
+
+    // The anchor should not follow an item that was moved away
+    const anchor = p.scrollAnchor;
+    if (anchor && anchor.index >= start && anchor.index < end) {
+      if (isMoved(anchor.index)) {
+        p.scrollAnchor = null;
+      } else {
+        anchor.index = mapIndex(anchor.index);
       }
-      if (p.onItemUnrender)
-        p.onItemUnrender(itemEl);
     }
   }
 
   /**
-   * Reset the pointer to the current items wrapper
+   * Moves the elements of items that were moved to another index. <br />
+   * Applicable for non-virtual mode only.
+   * @param {number} from
+   * @param {number} count
+   * @param {number} to - the index that the first moved item ends up at
    * @private
    */
-  _resetCurrentItemsParent() {
+  _moveItemElements(from, count, to) {
     const p = this._p;
-    p.currentItemsParent = p.virtualWrapper ?? p.userItemsParent ?? p.list;
+    const existingEls = p.existingEls;
+
+    if (existingEls.length !== p.count)
+      return;
+
+    const movedEls = existingEls.splice(from, count);
+
+    // Detach the moved elements first, so they're not in the way when finding the element to insert before
+    const fragment = document.createDocumentFragment();
+    for (let el of movedEls)
+      fragment.appendChild(el);
+
+    const before = to < existingEls.length
+        ? existingEls[to]
+        : existingEls[existingEls.length - 1].nextSibling;
+
+    insertBefore(fragment, before, p.currentItemsParent);
+
+    existingEls.splice(to, 0, ...movedEls);
+
+    for (let i = Math.min(from, to), end = Math.max(from, to) + count; i < end; i++)
+      existingEls[i][ItemIndexSymbol] = i;
   }
 
   /**
-   * Destroy all created elements, for cleanup
-   * @returns {VirtualListHelper}
+   * Moves the scroll anchor along with its item, following items that were added or removed.
+   * @param {number} index
+   * @param {number} delta - the count of added items, or negative count of removed items
    * @private
    */
-  _destroyElements() {
+  _shiftScrollAnchor(index, delta) {
     const p = this._p;
-    const onItemUnrender = p.onItemUnrender;
-    const existingEls = p.existingEls;
-
-    for (let i = 0; i < existingEls.length; i++) {
-      const el = existingEls[i];
-
-      let parent = el.parentNode;
-      if (parent)
-        parent.removeChild(el);
-      if (onItemUnrender && el[ItemIndexSymbol] !== undefined)
-        onItemUnrender(el);
-    }
+    const anchor = p.scrollAnchor;
 
-    existingEls.length = 0;
+    if (!anchor || anchor.index < index)
+      return;
 
-    if (p.virtualWrapper) {
-      if (p.virtualWrapper !== p.userItemsParent) {
-        if (p.virtualWrapper.parentNode) {
-          p.virtualWrapper.parentNode.removeChild(p.virtualWrapper);
-        }
-      }
-      p.virtualWrapper = null;
-      this._resetCurrentItemsParent();
+    if (delta < 0 && anchor.index < index - delta) {
+      // The anchor item is gone
+      p.scrollAnchor = null;
+    } else {
+      anchor.index += delta;
     }
-
-    return this;
   }
 
   /**
-   * Marks (an) item(s) at specific index(es) as to be re-rendered. <br />
-   * Applicable for virtual mode only.
+   * Moves the active index along with its item, following items that were added or removed. <br />
+   * If the active item was removed, the item that takes its place becomes active.
    * @param {number} index
-   * @param {number} count
+   * @param {number} delta - the count of added items, or negative count of removed items
    * @private
    */
-  _invalidateItemIndexesAt(index, count) {
+  _shiftActiveIndex(index, delta) {
     const p = this._p;
+    const activeIndex = p.activeIndex;
 
-    this._setItemPositionsNeedsUpdate(index);
-
-    let existingEls = p.existingEls;
-    let existingCount = existingEls.length;
-    let existingRange = this._getExistingElsRange();
-
-    if (existingRange.firstValidArrayIndex === -1)
+    if (activeIndex === -1 || activeIndex < index)
       return;
 
-    if (count === -1)
-      count = existingEls.length;
-
-    // Clean
-    if (index >= existingRange.firstIndex && index <= existingRange.lastIndex) {
-      for (let i = existingRange.firstValidArrayIndex + index - existingRange.firstIndex,
-               c = 0;
-           i < existingCount && c < count;
-           i++, c++)
-        delete existingEls[i][ItemIndexSymbol];
+    if (delta < 0 && activeIndex < index - delta) {
+      this._setActiveIndex(Math.min(index, p.count - 1));
+    } else {
+      this._setActiveIndex(activeIndex + delta);
     }
   }
 
@@ -1069,7 +4661,26 @@ class VirtualListHelper {
     this._unhookEvents();
 
     if (p.virtual && p.hookScrollEvent) {
-      p.list && p.list.addEventListener('scroll', /**@type Function*/p.boundRender);
+      const scrollElement = p.scrollElement;
+
+      if (scrollElement) {
+        scrollElement.addEventListener('scroll', /**@type Function*/p.boundOnScroll, PassiveListenerOptions);
+        getWindowOf(scrollElement).addEventListener('resize', /**@type Function*/p.boundOnScroll, PassiveListenerOptions);
+      } else {
+        p.list && p.list.addEventListener('scroll', /**@type Function*/p.boundOnScroll, PassiveListenerOptions);
+      }
+    }
+
+    if (p.selectionMode !== 'none' && p.list)
+      p.list.addEventListener('click', /**@type Function*/p.boundOnClick);
+
+    if (p.keyboardNavigation && p.list) {
+      p.list.addEventListener('keydown', /**@type Function*/p.boundOnKeyDown);
+
+      if (!p.list.hasAttribute('tabindex')) {
+        p.list.setAttribute('tabindex', '0');
+        p.addedListTabIndex = true;
+      }
     }
 
     return this;
@@ -1083,13 +4694,44 @@ class VirtualListHelper {
   _unhookEvents() {
     const p = this._p;
 
-    p.list && p.list.removeEventListener('scroll', /**@type Function*/p.boundRender);
+    p.list && p.list.removeEventListener('scroll', /**@type Function*/p.boundOnScroll, PassiveListenerOptions);
+    p.list && p.list.removeEventListener('keydown', /**@type Function*/p.boundOnKeyDown);
+    p.list && p.list.removeEventListener('click', /**@type Function*/p.boundOnClick);
+
+    if (p.addedListTabIndex) {
+      p.list.removeAttribute('tabindex');
+      p.addedListTabIndex = false;
+    }
+
+    const scrollElement = p.scrollElement;
+    if (scrollElement) {
+      scrollElement.removeEventListener('scroll', /**@type Function*/p.boundOnScroll, PassiveListenerOptions);
+      getWindowOf(scrollElement).removeEventListener('resize', /**@type Function*/p.boundOnScroll, PassiveListenerOptions);
+    }
 
     return this;
   }
 
+  /**
+   * Handles the scroll events (and the resize events of the window, with a `scrollElement`).
+   * @private
+   */
+  _onScroll() {
+    const p = this._p;
+
+    this._updateScrollingState();
+
+    if (p.renderOnAnimationFrame) {
+      this.scheduleRender();
+    } else {
+      this.render();
+    }
+  }
+
   /**
    * Mark item index from which the positions are not considered valid anymore. <br />
+   * In grid layout, this invalidates from the row containing the item. <br />
+   * In masonry layout, each item is a row of its own. <br />
    * Applicable for virtual mode only.
    * @param {number} value
    * @private
@@ -1097,15 +4739,165 @@ class VirtualListHelper {
   _setItemPositionsNeedsUpdate(value) {
     const p = this._p;
 
+    value = Math.floor(value / p.itemsPerRow);
+
     if (value < p.itemPositionsNeedsUpdate) {
       p.itemPositionsNeedsUpdate = value;
     }
   }
 
+  /**
+   * Updates the positions after an item whose height has changed. <br />
+   * In list and grid layouts, this updates the row's height in the row heights tree, in logarithmic time. <br />
+   * In masonry layout, the positions are re-calculated from the next item. <br />
+   * Applicable for virtual mode only.
+   * @param {number} index
+   * @private
+   */
+  _updatePositionsAfterItem(index) {
+    const p = this._p;
+
+    if (p.layout === 'masonry') {
+      this._setItemPositionsNeedsUpdate(index + 1);
+      return;
+    }
+
+    const row = Math.floor(index / p.itemsPerRow);
+
+    // Rows that are not in the tree yet will be summed with their current heights
+    if (row >= p.itemPositionsNeedsUpdate)
+      return;
+
+    const height = this._getRowHeight(row);
+    const delta = height - p.cachedRowHeights[row];
+
+    if (delta !== 0) {
+      p.cachedRowHeights[row] = height;
+      fenwickAdd(p.rowHeightsTree, row, delta, p.itemPositionsNeedsUpdate);
+    }
+  }
+
+  /**
+   * Retrieves the number of rows, taking multiple items per row into account in grid layout.
+   * @returns {number}
+   * @private
+   */
+  _getRowCount() {
+    const p = this._p;
+    return Math.ceil(p.count / p.itemsPerRow);
+  }
+
+  /**
+   * Re-calculates the number of lanes, for grid and masonry layouts. <br />
+   * Positions and heights are invalidated if it has changed.
+   * @private
+   */
+  _updateLanes() {
+    const p = this._p;
+    let lanes = 1;
+
+    if (p.layout !== 'list' && p.virtual) {
+      if (p.columns > 0) {
+        lanes = p.columns;
+      } else if (p.minItemWidth > 0) {
+        const crossSize = this._getListCrossSize();
+        lanes = Math.max(1, Math.floor(crossSize / p.minItemWidth));
+      }
+    }
+
+    const itemsPerRow = p.layout === 'grid' ? lanes : 1;
+    const laneSize = lanes > 1 ? this._getListCrossSize() / lanes : 0;
+
+    if (lanes === p.lanes && itemsPerRow === p.itemsPerRow && laneSize === p.laneSize)
+      return;
+
+    // Items are as wide as their lane, so measured heights stay valid only while the lane size does.
+    // Heights by key are kept either way, and are replaced as the items are measured again.
+    const isLaneResized = p.laneSize !== null && laneSize !== p.laneSize;
+
+    p.lanes = lanes;
+    p.itemsPerRow = itemsPerRow;
+    p.laneSize = laneSize;
+
+    if (isLaneResized) {
+      this._resetItemPositions();
+    } else {
+      this._resetRowPositions();
+    }
+  }
+
+  /**
+   * Retrieves an item's height - measured if available, or estimated otherwise.
+   * @param {number} index
+   * @returns {number}
+   * @private
+   */
+  _getItemHeight(index) {
+    const p = this._p;
+
+    let height = p.cachedItemHeights[index]; // already calculated
+
+    if (height === undefined && p.getItemKey && p.cachedKeyHeights.size > 0) {
+      height = p.cachedKeyHeights.get(p.getItemKey(index)); // measured before, at another index
+
+      if (height !== undefined)
+        p.cachedItemHeights[index] = height;
+    }
+
+    if (height === undefined) {
+      height = p.itemHeightEstimatorFn ? p.itemHeightEstimatorFn(index) : null; // estimated per item
+
+      if (typeof height !== 'number' && p.itemTypeFn && p.estimatedItemHeightByType)
+        height = p.estimatedItemHeightByType[p.itemTypeFn(index)]; // estimated per type
+
+      if (typeof height !== 'number')
+        height = p.estimatedItemHeight; // estimated
+
+      p.cachedItemEstimatedHeights[index] = height;
+    }
+
+    return height;
+  }
+
+  /**
+   * Stores the measured height of the item at the specified index, and by its key, if there are keys.
+   * @param {number} index
+   * @param {number} height
+   * @private
+   */
+  _cacheItemHeight(index, height) {
+    const p = this._p;
+
+    p.cachedItemHeights[index] = height;
+
+    if (p.getItemKey)
+      p.cachedKeyHeights.set(p.getItemKey(index), height);
+  }
+
+  /**
+   * Retrieves a row's height, which is the height of the tallest item in the row.
+   * @param {number} row
+   * @returns {number}
+   * @private
+   */
+  _getRowHeight(row) {
+    const p = this._p;
+    const itemsPerRow = p.itemsPerRow;
+
+    if (itemsPerRow === 1)
+      return this._getItemHeight(row);
+
+    let height = 0;
+    for (let i = row * itemsPerRow, end = Math.min(i + itemsPerRow, p.count); i < end; i++) {
+      height = Math.max(height, this._getItemHeight(i));
+    }
+    return height;
+  }
+
   /**
    * Calculates an item's top position (and stores in the private `cachedItemPositions` array). <br />
    * Allows calculating last+1 index too, to get the bottom-most position. <br />
-   * Applicable for non-virtual mode only.
+   * Applicable for virtual mode only.
    * @param {number} index
    * @returns {number|undefined}
    * @private
@@ -1113,73 +4905,224 @@ class VirtualListHelper {
   _calculateItemPosition(index) {
     const p = this._p;
 
+    if (p.layout === 'masonry' && p.virtual)
+      return this._calculateMasonryPosition(index);
+
+    if (index === p.count)
+      return this._calculateRowPosition(this._getRowCount());
+
+    return this._calculateRowPosition(Math.floor(index / p.itemsPerRow));
+  }
+
+  /**
+   * Calculates an item's top position and lane in masonry layout
+   *   (and stores in the private `cachedItemPositions` and `cachedItemLanes` arrays). <br />
+   * Each item is placed in the shortest lane, so the top positions are monotonic,
+   *   while the bottom positions are tracked as a running maximum in `cachedItemMaxBottoms`. <br />
+   * Allows calculating last+1 index too, to get the bottom-most position. <br />
+   * Applicable for virtual mode only.
+   * @param {number} index
+   * @returns {number|undefined}
+   * @private
+   */
+  _calculateMasonryPosition(index) {
+    const p = this._p;
+
+    const count = p.count;
     const cachedItemPositions = p.cachedItemPositions;
+    const cachedItemLanes = p.cachedItemLanes;
+    const cachedItemMaxBottoms = p.cachedItemMaxBottoms;
 
     if (index >= p.itemPositionsNeedsUpdate) {
-      const count = p.count;
-      const cachedItemHeights = p.cachedItemHeights;
-      const cachedItemEstimatedHeights = p.cachedItemEstimatedHeights;
-      const estimatedItemHeight = p.estimatedItemHeight;
-      const itemHeightEstimatorFn = p.itemHeightEstimatorFn;
+      const lanes = p.lanes;
 
-      if (cachedItemHeights.length !== count) {
-        cachedItemHeights.length = count;
-        cachedItemEstimatedHeights.length = count;
+      if (p.cachedItemHeights.length !== count || cachedItemPositions.length !== count) {
+        p.cachedItemHeights.length = count;
+        p.cachedItemEstimatedHeights.length = count;
         cachedItemPositions.length = count;
+        cachedItemLanes.length = count;
+        cachedItemMaxBottoms.length = count;
       }
 
       let fromIndex = p.itemPositionsNeedsUpdate;
-      let toIndex = Math.min(index, count);
+      let toIndex = Math.min(index, count - 1);
+
+      // Restore the lane heights as they were after placing the items before `fromIndex`
+      const laneHeights = new Array(lanes).fill(0);
+      const laneFound = new Array(lanes).fill(false);
+      for (let i = fromIndex - 1, found = 0; i >= 0 && found < lanes; i--) {
+        const lane = cachedItemLanes[i];
+        if (laneFound[lane]) continue;
+        laneFound[lane] = true;
+        laneHeights[lane] = cachedItemPositions[i] + this._getItemHeight(i);
+        found++;
+      }
 
-      let pos = 0;
+      let maxBottom = 0;
 
       if (fromIndex > 0) {
-        pos = cachedItemPositions[fromIndex - 1];
+        // The height of the previous item may have changed
+        const prevIndex = fromIndex - 1;
+        maxBottom = Math.max(prevIndex > 0 ? cachedItemMaxBottoms[prevIndex - 1] : 0, laneHeights[cachedItemLanes[prevIndex]]);
+        cachedItemMaxBottoms[prevIndex] = maxBottom;
       }
 
       for (let i = fromIndex; i <= toIndex; i++) {
-        if (i === 0) {
-          cachedItemPositions[i] = pos;
-          continue;
+        let lane = 0;
+        for (let l = 1; l < lanes; l++) {
+          if (laneHeights[l] < laneHeights[lane])
+            lane = l;
         }
 
-        const prevIndex = i - 1;
+        cachedItemPositions[i] = laneHeights[lane];
+        cachedItemLanes[i] = lane;
+        laneHeights[lane] += this._getItemHeight(i);
+
+        maxBottom = Math.max(maxBottom, laneHeights[lane]);
+        cachedItemMaxBottoms[i] = maxBottom;
+      }
+
+      p.itemPositionsNeedsUpdate = Math.max(fromIndex, toIndex + 1);
+    }
+
+    // item after the last (calculate full height)
+    if (index > 0 && index === count) {
+      return cachedItemMaxBottoms[count - 1];
+    }
+
+    return cachedItemPositions[index];
+  }
+
+  /**
+   * Retrieves the lane (column, or row in horizontal mode) of an item in grid and masonry layouts.
+   * @param {number} index
+   * @returns {number}
+   * @private
+   */
+  _getItemLane(index) {
+    const p = this._p;
+
+    if (p.layout === 'masonry') {
+      this._calculateItemPosition(index);
+      return p.cachedItemLanes[index];
+    }
+
+    return index % p.lanes;
+  }
+
+  /**
+   * Finds the first row that may be visible at the specified position. <br />
+   * In masonry layout, rows are items, and this is based on the running maximum of the items' bottoms.
+   * @param {number} pos
+   * @returns {number}
+   * @private
+   */
+  _findFirstVisibleRow(pos) {
+    const p = this._p;
+
+    if (p.layout === 'masonry') {
+      const maxBottoms = p.cachedItemMaxBottoms;
+      return Math.min(maxBottoms.length - 1, binarySearchFirst(maxBottoms, x => x > pos));
+    }
+
+    return this._findRowAtPosition(pos);
+  }
+
+  /**
+   * Finds the last row that starts before the specified position.
+   * @param {number} pos
+   * @param {number} [start=0]
+   * @returns {number}
+   * @private
+   */
+  _findLastVisibleRow(pos, start = 0) {
+    const p = this._p;
+
+    if (p.layout === 'masonry') {
+      return Math.max(start, binarySearchFirst(p.cachedItemPositions, x => x >= pos, start) - 1);
+    }
+
+    let row = Math.max(start, this._findRowAtPosition(pos));
+    if (row > start && this._calculateRowPosition(row) === pos)
+      row--;
+    return row;
+  }
+
+  /**
+   * Finds the row at the specified position, which is the first one starting there in case of 0-height rows. <br />
+   * Positions before the first row or after the last are clamped to these. <br />
+   * Applicable for list and grid layouts only.
+   * @param {number} pos
+   * @returns {number}
+   * @private
+   */
+  _findRowAtPosition(pos) {
+    const p = this._p;
+    const rowCount = this._getRowCount();
+
+    if (pos <= 0 || rowCount === 0)
+      return 0;
+
+    this._calculateRowPosition(rowCount);
+
+    // The last row that starts before `pos`
+    const row = fenwickSearch(p.rowHeightsTree, pos);
+    if (row >= rowCount)
+      return rowCount - 1;
+
+    // The next row may start exactly at `pos`
+    if (row + 1 < rowCount && this._calculateRowPosition(row + 1) === pos)
+      return row + 1;
 
-        let height = cachedItemHeights[prevIndex]; // already calculated
+    return row;
+  }
+
+  /**
+   * Calculates a row's top position, by summing the heights of the rows before it
+   *   (which are stored in the private `rowHeightsTree`). <br />
+   * In list layout, a row is the same as an item. <br />
+   * Allows calculating last+1 row too, to get the bottom-most position. <br />
+   * Applicable for virtual mode only.
+   * @param {number} row
+   * @returns {number|undefined}
+   * @private
+   */
+  _calculateRowPosition(row) {
+    const p = this._p;
 
-        if (height === undefined) {
-          height = itemHeightEstimatorFn ? itemHeightEstimatorFn(prevIndex) : null; // estimated per item
+    const cachedRowHeights = p.cachedRowHeights;
+    const rowHeightsTree = p.rowHeightsTree;
+    const rowCount = this._getRowCount();
 
-          if (typeof height !== 'number')
-            height = estimatedItemHeight; // estimated
+    if (row < 0 || row > rowCount || rowCount === 0)
+      return undefined;
 
-          cachedItemEstimatedHeights[prevIndex] = height;
-        }
+    if (row >= p.itemPositionsNeedsUpdate) {
+      const count = p.count;
+      const cachedItemHeights = p.cachedItemHeights;
+      const cachedItemEstimatedHeights = p.cachedItemEstimatedHeights;
 
-        pos += height;
-        cachedItemPositions[i] = pos;
+      if (cachedItemHeights.length !== count || cachedRowHeights.length !== rowCount) {
+        cachedItemHeights.length = count;
+        cachedItemEstimatedHeights.length = count;
+        cachedRowHeights.length = rowCount;
+        rowHeightsTree.length = rowCount + 1;
+        p.itemPositionsNeedsUpdate = Math.min(p.itemPositionsNeedsUpdate, rowCount);
       }
 
-      p.itemPositionsNeedsUpdate = toIndex + 1;
-    }
-
-    // item after the last (calculate full height)
-    if (index > 0 && index === p.count) {
-      let height = p.cachedItemHeights[index - 1]; // already calculated
-
-      if (height === undefined) {
-        height = p.itemHeightEstimatorFn ? p.itemHeightEstimatorFn(index - 1) : null; // estimated per item
-
-        if (typeof height !== 'number')
-          height = p.estimatedItemHeight; // estimated
+      let fromRow = p.itemPositionsNeedsUpdate;
+      let toRow = Math.min(row, rowCount - 1);
 
-        p.cachedItemEstimatedHeights[index - 1] = height;
+      for (let i = fromRow; i <= toRow; i++) {
+        cachedRowHeights[i] = this._getRowHeight(i);
       }
 
-      return cachedItemPositions[index - 1] + height;
+      fenwickBuild(rowHeightsTree, cachedRowHeights, fromRow, toRow + 1);
+
+      p.itemPositionsNeedsUpdate = Math.max(fromRow, toRow + 1);
     }
 
-    return cachedItemPositions[index];
+    return fenwickSum(rowHeightsTree, row);
   }
 
   /**
@@ -1201,30 +5144,44 @@ class VirtualListHelper {
     const onItemRender = p.onItemRender;
     const onItemUnrender = p.onItemUnrender;
     const isNew = !itemEl;
-    const shouldReRender = isNew || index !== itemEl[ItemIndexSymbol];
+    const itemKey = p.getItemKey ? p.getItemKey(index) : undefined;
+    const usePlaceholder = p.isScrolling && !!p.onItemRenderPlaceholder && !!virtualWrapper && insertBefore !== false;
+    const shouldReRender = isNew || index !== itemEl[ItemIndexSymbol] || itemKey !== itemEl[ItemKeySymbol] ||
+        (!usePlaceholder && itemEl[PlaceholderSymbol] === ScrollingPlaceholder);
 
     if (itemEl) {
-      if (onItemUnrender && shouldReRender) {
-        onItemUnrender(itemEl);
+      if (shouldReRender) {
+        // A previous render that's still in progress is stale now
+        this._cancelItemRender(itemEl);
+
+        if (onItemUnrender)
+          onItemUnrender(itemEl);
       }
     } else {
-      itemEl = p.itemElementCreatorFn();
+      const type = p.itemTypeFn ? p.itemTypeFn(index) : undefined;
+      // Pooled elements are already set up for the virtual list
+      itemEl = (virtualWrapper && insertBefore !== false && p.elementPools.get(type)?.pop()) ||
+          p.itemElementCreatorFn(type);
+      itemEl[ItemTypeSymbol] = type;
 
       if (virtualWrapper && insertBefore !== false) {
-        (/**@type ElementCSSInlineStyle*/itemEl).style.position = 'absolute';
-        (/**@type ElementCSSInlineStyle*/itemEl).style.top = '0';
-        (/**@type ElementCSSInlineStyle*/itemEl).style.left = '0';
-        (/**@type ElementCSSInlineStyle*/itemEl).style.right = '0';
+        this._setupVirtualItemElement(itemEl);
       }
     }
 
     // Render only if it's a new item element
     //   OR the index of the existing element is not the same of the index to render
     if (shouldReRender) {
-      itemEl.innerHTML = ''; // Basic cleanup
-
-      if (onItemRender)
-        onItemRender(itemEl, index);
+      // Typed elements keep the structure that was created for their type
+      if (!p.itemTypeFn)
+        itemEl.innerHTML = ''; // Basic cleanup
+
+      if (usePlaceholder) {
+        p.onItemRenderPlaceholder(itemEl, index);
+        this._setElementPlaceholder(itemEl, index, ScrollingPlaceholder);
+      } else if (onItemRender) {
+        this._renderItemElement(itemEl, index);
+      }
     }
 
     if (insertBefore !== false) {
@@ -1253,10 +5210,42 @@ class VirtualListHelper {
 
     // Add index metadata to item
     itemEl[ItemIndexSymbol] = index;
+    itemEl[ItemKeySymbol] = itemKey;
 
     return itemEl;
   }
 
+  /**
+   * Sets up a fresh item element for being absolutely positioned in the virtual wrapper.
+   * @param {Element} itemEl
+   * @private
+   */
+  _setupVirtualItemElement(itemEl) {
+    const p = this._p;
+    const style = (/**@type ElementCSSInlineStyle*/itemEl).style;
+    style.position = 'absolute';
+    style.top = '0';
+
+    // In grid/masonry layouts, items are as wide as a lane - which has to be set before they're measured
+    const isGrid = p.layout !== 'list';
+
+    if (p.orientation === 'horizontal') {
+      if (!isGrid)
+        style.bottom = '0';
+      style[p.isRtl ? 'right' : 'left'] = '0';
+    } else if (isGrid) {
+      style[p.isRtl ? 'right' : 'left'] = '0';
+    } else {
+      style.left = '0';
+      style.right = '0';
+    }
+
+    if (isGrid)
+      this._setItemElementLaneSize(itemEl);
+
+    p.resizeObserver?.observe(itemEl);
+  }
+
   /**
    * Insert item element into the DOM, set it's flow in the DOM, and update the item's position. <br />
    * @param {Element|undefined} itemEl
@@ -1281,30 +5270,305 @@ class VirtualListHelper {
     }
 
     if (virtualWrapper) {
-      // Calculate height
-      let itemHeight = itemEl.getBoundingClientRect().height;
+      this._measureItemElement(itemEl, index);
+      this._positionItemElement(itemEl, index);
+    }
+  }
 
-      // Put calculated height into cache, and invalidate positions if it's different
-      let cachedItemHeight = p.cachedItemHeights[index];
-      if (cachedItemHeight !== itemHeight) {
-        p.cachedItemHeights[index] = itemHeight;
-      }
+  /**
+   * Measures item elements, and then positions them. <br />
+   * All of the measurements are read before any position is written, so there's a single layout for all of them. <br />
+   * Applicable for virtual mode only.
+   * @param {Array<[Element, number]>} items - pairs of item element and index, already in the DOM
+   * @private
+   */
+  _flowItemElements(items) {
+    for (let [itemEl, index] of items)
+      this._measureItemElement(itemEl, index);
 
-      if ((cachedItemHeight !== undefined && itemHeight !== cachedItemHeight) ||
-          (cachedItemHeight === undefined && itemHeight !== p.cachedItemEstimatedHeights[index])) {
-        this._setItemPositionsNeedsUpdate(index + 1);
-      }
+    for (let [itemEl, index] of items)
+      this._positionItemElement(itemEl, index);
+  }
+
+  /**
+   * Measures an item element, and updates the cached height and positions if it's changed. <br />
+   * This only reads from the DOM. <br />
+   * Applicable for virtual mode only.
+   * @param {Element} itemEl
+   * @param {number} index
+   * @private
+   */
+  _measureItemElement(itemEl, index) {
+    const p = this._p;
+    const horizontal = p.orientation === 'horizontal';
+
+    // Placeholders keep the cached (or estimated) size, until they're rendered
+    if (itemEl[PlaceholderSymbol])
+      return;
+
+    // Calculate height (or width, in horizontal mode)
+    let itemHeight = horizontal ? itemEl.getBoundingClientRect().width : itemEl.getBoundingClientRect().height;
+
+    // Put calculated height into cache, and invalidate positions if it's different
+    let cachedItemHeight = p.cachedItemHeights[index];
+    if (cachedItemHeight !== itemHeight) {
+      this._cacheItemHeight(index, itemHeight);
+    }
+
+    if ((cachedItemHeight !== undefined && itemHeight !== cachedItemHeight) ||
+        (cachedItemHeight === undefined && itemHeight !== p.cachedItemEstimatedHeights[index])) {
+      this._updatePositionsAfterItem(index);
+    }
+  }
+
+  /**
+   * Positions an item element by its calculated position. <br />
+   * This only writes to the DOM. <br />
+   * Applicable for virtual mode only.
+   * @param {Element} itemEl
+   * @param {number} index
+   * @private
+   */
+  _positionItemElement(itemEl, index) {
+    // Set item top position
+    this._setItemElementPosition(itemEl, this._calculateItemPosition(index), this._getItemLane(index));
+  }
+
+  /**
+   * Renders the contents of an item element using `onItemRender`. <br />
+   * If it returns a `Promise`, the element is a placeholder until it settles: In virtual mode, it's sized by the
+   *   estimated height, and it's measured only when done. <br />
+   * The `AbortSignal` that's passed to `onItemRender` is aborted if the element is re-rendered or removed before that.
+   * @param {Element} itemEl
+   * @param {number} index
+   * @private
+   */
+  _renderItemElement(itemEl, index) {
+    const p = this._p;
+    const controller = new AbortController();
+
+    const result = p.onItemRender(itemEl, index, controller.signal);
+    if (!result || typeof result.then !== 'function')
+      return;
+
+    itemEl[AsyncRenderSymbol] = controller;
+
+    if (p.virtual)
+      this._setElementPlaceholder(itemEl, index, AsyncRenderPlaceholder);
+
+    result.then(
+        () => this._finishItemRender(itemEl, controller),
+        err => {
+          if (controller.signal.aborted)
+            return;
+
+          this._finishItemRender(itemEl, controller);
+          p.onItemRenderError?.(err, itemEl, index);
+        });
+  }
+
+  /**
+   * Ends the placeholder state of an element whose asynchronous render has settled,
+   *   and schedules a render for measuring it.
+   * @param {Element} itemEl
+   * @param {AbortController} controller - the controller of that render
+   * @private
+   */
+  _finishItemRender(itemEl, controller) {
+    const p = this._p;
+
+    // It may have been re-rendered since
+    if (itemEl[AsyncRenderSymbol] !== controller)
+      return;
+
+    delete itemEl[AsyncRenderSymbol];
+    this._clearElementPlaceholder(itemEl);
+
+    if (p.virtual && itemEl.parentNode)
+      this.scheduleRender();
+  }
+
+  /**
+   * Cancels an asynchronous render of an element that's still in progress, if there is one,
+   *   and ends its placeholder state (of an asynchronous render, or of scrolling fast).
+   * @param {Element} itemEl
+   * @private
+   */
+  _cancelItemRender(itemEl) {
+    const controller = itemEl[AsyncRenderSymbol];
+
+    if (controller) {
+      delete itemEl[AsyncRenderSymbol];
+      controller.abort();
+    }
+
+    this._clearElementPlaceholder(itemEl);
+  }
+
+  /**
+   * Makes an item element a placeholder, which is sized by the cached (or estimated) height of the item,
+   *   and is not measured. <br />
+   * Applicable for virtual mode only.
+   * @param {Element} itemEl
+   * @param {number} index
+   * @param {string} kind - `AsyncRenderPlaceholder` or `ScrollingPlaceholder`
+   * @private
+   */
+  _setElementPlaceholder(itemEl, index, kind) {
+    const p = this._p;
+    itemEl[PlaceholderSymbol] = kind;
+    itemEl.style[p.orientation === 'horizontal' ? 'width' : 'height'] = `${this._getItemHeight(index)}px`;
+  }
+
+  /**
+   * Ends the placeholder state of an item element, if it's a placeholder.
+   * @param {Element} itemEl
+   * @private
+   */
+  _clearElementPlaceholder(itemEl) {
+    const p = this._p;
+
+    if (!itemEl[PlaceholderSymbol])
+      return;
+
+    delete itemEl[PlaceholderSymbol];
+    itemEl.style[p.orientation === 'horizontal' ? 'width' : 'height'] = '';
+  }
+
+  /**
+   * Keeps an unused element that was created for a specific item type, for reusing it for another item of that type. <br />
+   * The element should already be detached and un-rendered.
+   * @param {Element} el
+   * @private
+   */
+  _poolElement(el) {
+    const p = this._p;
+    const type = el[ItemTypeSymbol];
+
+    let pool = p.elementPools.get(type);
+    if (!pool) {
+      pool = [];
+      p.elementPools.set(type, pool);
+    }
+
+    if (pool.length >= MaxPooledElementsPerType)
+      return;
+
+    delete el[ItemIndexSymbol];
+    delete el[ItemKeySymbol];
+    delete el[ReuseElSymbol];
+    pool.push(el);
+  }
+
+  /**
+   * Sets an item element's cross-axis size to the size of a lane, in grid/masonry layouts.
+   * @param {Element} itemEl
+   * @private
+   */
+  _setItemElementLaneSize(itemEl) {
+    const p = this._p;
+    const style = (/**@type ElementCSSInlineStyle*/itemEl).style;
+    const laneSize = `${100 / p.lanes}%`;
+    const crossSizeProp = p.orientation === 'horizontal' ? 'height' : 'width';
+    if (style[crossSizeProp] !== laneSize)
+      style[crossSizeProp] = laneSize;
+  }
 
-      // Set item top position
-      let pos = this._calculateItemPosition(index);
-      const supportedTransform = getSupportedTransform();
+  /**
+   * Physically positions an item element. <br />
+   * In grid/masonry layouts, this also sets the item's cross-axis size and offset based on its lane.
+   * @param {Element} itemEl
+   * @param {number} pos - the position along the main axis
+   * @param {number} lane - the column (or row, in horizontal mode) of the item
+   * @private
+   */
+  _setItemElementPosition(itemEl, pos, lane) {
+    const p = this._p;
+    const style = (/**@type ElementCSSInlineStyle*/itemEl).style;
+
+    // Short lists may be aligned to the bottom, and there may be a loading indicator before the first item
+    pos += this._getItemsOffset() - p.scrollShift;
+
+    const horizontal = p.orientation === 'horizontal';
+    const supportedTransform = getSupportedTransform();
+
+    if (p.layout !== 'list') {
+      this._setItemElementLaneSize(itemEl);
 
       if (supportedTransform === false) {
-        (/**@type ElementCSSInlineStyle*/itemEl).style.top = `${pos}px`;
+        style[horizontal ? (p.isRtl ? 'right' : 'left') : 'top'] = `${pos}px`;
+        style[horizontal ? 'top' : (p.isRtl ? 'right' : 'left')] = `${lane * 100 / p.lanes}%`;
+      } else if (horizontal) {
+        style[supportedTransform] = `translate(${p.isRtl ? -pos : pos}px, ${lane * 100}%)`;
       } else {
-        (/**@type ElementCSSInlineStyle*/itemEl).style[supportedTransform] = `translateY(${pos}px)`;
+        style[supportedTransform] = `translate(${(p.isRtl ? -lane : lane) * 100}%, ${pos}px)`;
+      }
+      return;
+    }
+
+    this._setElementMainAxisPosition(itemEl, pos);
+  }
+
+  /**
+   * Physically positions an element along the main axis.
+   * @param {Element} el
+   * @param {number} pos
+   * @private
+   */
+  _setElementMainAxisPosition(el, pos) {
+    const p = this._p;
+    const style = (/**@type ElementCSSInlineStyle*/el).style;
+    const horizontal = p.orientation === 'horizontal';
+    const supportedTransform = getSupportedTransform();
+
+    if (supportedTransform === false) {
+      style[horizontal ? (p.isRtl ? 'right' : 'left') : 'top'] = `${pos}px`;
+    } else if (horizontal) {
+      style[supportedTransform] = `translateX(${p.isRtl ? -pos : pos}px)`;
+    } else {
+      style[supportedTransform] = `translateY(${pos}px)`;
+    }
+  }
+
+  /**
+   * Handles size changes of rendered items, reported by the `ResizeObserver`. <br />
+   * Updates the cached heights, and schedules a single render for all the changes.
+   * @param {ResizeObserverEntry[]} entries
+   * @private
+   */
+  _onItemsResized(entries) {
+    const p = this._p;
+
+    if (!p.virtual || !p.virtualWrapper)
+      return;
+
+    const horizontal = p.orientation === 'horizontal';
+    let changed = false;
+
+    for (let entry of entries) {
+      const itemEl = entry.target;
+      const index = itemEl[ItemIndexSymbol];
+
+      // Elements that are not associated with an index anymore will be measured when rendered
+      if (index === undefined || itemEl.parentNode !== p.currentItemsParent)
+        continue;
+
+      const cachedItemHeight = p.cachedItemHeights[index];
+      if (cachedItemHeight === undefined || itemEl[PlaceholderSymbol])
+        continue;
+
+      const rect = itemEl.getBoundingClientRect();
+      const itemHeight = horizontal ? rect.width : rect.height;
+
+      if (itemHeight !== cachedItemHeight) {
+        this._cacheItemHeight(index, itemHeight);
+        this._updatePositionsAfterItem(index);
+        changed = true;
       }
     }
+
+    if (changed)
+      this.scheduleRender();
   }
 
   /**
@@ -1343,12 +5607,51 @@ class VirtualListHelper {
   }
 }
 
+/** The maximum number of scroll corrections when scrolling to an item */
+const MaxScrollCorrectionIterations = 5;
+
+/** The maximum number of frames to follow a smooth scroll when scrolling to an item */
+const MaxSmoothScrollFrames = 120;
+
+/** The maximum number of unused elements to keep per item type */
+const MaxPooledElementsPerType = 20;
+
+/** The default maximum height of the scrollable area, within the limits of the major browsers */
+const DefaultMaxScrollHeight = 15000000;
+
+/** Scroll listeners never prevent the default */
+const PassiveListenerOptions = { passive: true };
+
+/** The roles of the items, by the ARIA role of the list */
+const AriaItemRoles = { list: 'listitem', listbox: 'option', grid: 'row' };
+
+/** The ARIA attributes that are set on items */
+const AriaItemAttributes = ['role', 'aria-setsize', 'aria-posinset', 'aria-rowindex', 'aria-colindex', 'aria-selected'];
+
 /** Marks the item index associated with an item element */
 const ItemIndexSymbol = Symbol('index');
 
 /** Marks an element for reuse */
 const ReuseElSymbol = Symbol('reuse');
 
+/** Marks the item key associated with an item element */
+const ItemKeySymbol = Symbol('key');
+
+/** Marks the item type that an item element was created for */
+const ItemTypeSymbol = Symbol('type');
+
+/** Marks an item element whose asynchronous render is in progress, with its `AbortController` */
+const AsyncRenderSymbol = Symbol('async_render');
+
+/** Marks an item element that's a placeholder, with the kind of placeholder */
+const PlaceholderSymbol = Symbol('placeholder');
+
+/** A placeholder of an item whose asynchronous render is in progress */
+const AsyncRenderPlaceholder = 'async';
+
+/** A placeholder of an item that was rendered while scrolling fast */
+const ScrollingPlaceholder = 'scrolling';
+
 /**
  * The default element creator
  * @returns {HTMLLIElement}
@@ -1358,37 +5661,93 @@ const defaultElementCreator = () => {
 };
 
 /**
- * Will look for the index in the `positions` array closest to the specified `pos` value (<= pos).
- * @param {number[]} positions
- * @param {number} pos
- * @param {number} [start=0]
- * @param {number} [end=-1]
- * @returns {number}
+ * Builds the nodes of a Fenwick tree (1-based) for the values in the range [`from`, `to`),
+ *   assuming that the nodes for the values before `from` are already built.
+ * @param {number[]} tree
+ * @param {number[]} values
+ * @param {number} from
+ * @param {number} to
  */
-const binarySearchPosition = (positions, pos, start = 0, end = -1) => {
-  let total = positions.length;
-  if (end < 0)
-    end += total;
-  if (end <= start) return end; // 0 or 1 length array
+const fenwickBuild = (tree, values, from, to) => {
+  for (let i = from + 1; i <= to; i++) {
+    // Each node sums its own value and its child nodes, which are all before it
+    let sum = values[i - 1];
+    for (let child = i - 1, end = i - (i & -i); child > end; child -= child & -child)
+      sum += tree[child];
+    tree[i] = sum;
+  }
+};
 
-  while (start <= end) {
-    let mid = Math.floor(start + (end - start) / 2);
-    let midPos = positions[mid];
+/**
+ * Adds a delta to a value in a Fenwick tree (1-based), updating the nodes up to `limit` only.
+ * @param {number[]} tree
+ * @param {number} index - the 0-based index of the value
+ * @param {number} delta
+ * @param {number} [limit] - the count of built nodes
+ */
+const fenwickAdd = (tree, index, delta, limit = tree.length - 1) => {
+  for (let i = index + 1; i <= limit; i += i & -i)
+    tree[i] += delta;
+};
 
-    if (midPos === pos || (midPos <= pos && mid < total && positions[mid + 1] > pos)) {
-      while (mid > 0 && positions[mid - 1] === midPos) // avoid bugs on 0-height items
-        mid--;
+/**
+ * Sums the first `count` values in a Fenwick tree (1-based).
+ * @param {number[]} tree
+ * @param {number} count
+ * @returns {number}
+ */
+const fenwickSum = (tree, count) => {
+  let sum = 0;
+  for (let i = count; i > 0; i -= i & -i)
+    sum += tree[i];
+  return sum;
+};
 
-      return mid;
+/**
+ * Finds the greatest count of values in a Fenwick tree (1-based) whose sum is less than `target`.
+ * The values must not be negative.
+ * @param {number[]} tree
+ * @param {number} target
+ * @returns {number}
+ */
+const fenwickSearch = (tree, target) => {
+  const size = tree.length - 1;
+  let count = 0;
+
+  if (size <= 0)
+    return 0;
+
+  for (let step = 1 << (31 - Math.clz32(size)); step > 0; step >>= 1) {
+    const next = count + step;
+    if (next <= size && tree[next] < target) {
+      count = next;
+      target -= tree[next];
     }
+  }
 
-    if (midPos < pos)
-      start = mid + 1;
+  return count;
+};
+
+/**
+ * Will look for the first index in a sorted array for which `fn` returns a truthy value.
+ * @param {number[]} values
+ * @param {function(value: number):boolean} fn
+ * @param {number} [start=0]
+ * @returns {number} the index, or `values.length` if there's none
+ */
+const binarySearchFirst = (values, fn, start = 0) => {
+  let end = values.length;
+
+  while (start < end) {
+    let mid = Math.floor(start + (end - start) / 2);
+
+    if (fn(values[mid]))
+      end = mid;
     else
-      end = mid - 1;
+      start = mid + 1;
   }
 
-  return end === -1 ? 0 : (total - 1);
+  return start;
 };
 
 /**
@@ -1441,6 +5800,113 @@ const findLast = (array, fn) => {
   return undefined;
 };
 
+/**
+ * Shifts the values of an array from the specified index, leaving empty slots for inserted values
+ * @param {Array} array
+ * @param {number} index
+ * @param {number} delta - the count of inserted slots, or negative count of removed slots
+ */
+const shiftArraySlots = (array, index, delta) => {
+  const length = array.length;
+  if (index >= length)
+    return;
+
+  if (delta > 0) {
+    array.length = length + delta;
+    array.copyWithin(index + delta, index, length);
+    array.fill(undefined, index, index + delta);
+  } else if (delta < 0) {
+    array.copyWithin(index, index - delta, length);
+    array.length = Math.max(index, length + delta);
+  }
+};
+
+/**
+ * Moves a range of values of an array to another index, shifting the values in between
+ * @param {Array} array
+ * @param {number} from
+ * @param {number} count
+ * @param {number} to - the index that the first moved value ends up at
+ */
+const moveArraySlots = (array, from, count, to) => {
+  const moved = array.slice(from, from + count);
+
+  if (from < to) {
+    array.copyWithin(from, from + count, to + count);
+  } else {
+    array.copyWithin(to + count, to, from);
+  }
+
+  for (let i = 0; i < count; i++)
+    array[to + i] = moved[i];
+};
+
+/**
+ * Maps an index to where it ends up after moving a range of indexes to another index
+ * @param {number} index
+ * @param {number} from
+ * @param {number} count
+ * @param {number} to - the index that the first moved index ends up at
+ * @returns {number}
+ */
+const mapMovedIndex = (index, from, count, to) => {
+  if (index >= from && index < from + count)
+    return to + index - from;
+
+  const indexWithoutMoved = index < from ? index : index - count;
+  return indexWithoutMoved >= to ? indexWithoutMoved + count : indexWithoutMoved;
+};
+
+/**
+ * Sets an attribute, only if its value is different, to avoid needless mutations
+ * @param {Element} el
+ * @param {string} name
+ * @param {string} value
+ */
+const setAttributeIfChanged = (el, name, value) => {
+  if (el.getAttribute(name) !== value)
+    el.setAttribute(name, value);
+};
+
+/**
+ * Tests whether the element takes text input, so keys pressed in it should be left alone
+ * @param {*} el
+ * @returns {boolean}
+ */
+const isEditableElement = el => {
+  if (!el || !el.tagName)
+    return false;
+
+  const tagName = el.tagName.toLowerCase();
+  return tagName === 'input' || tagName === 'textarea' || tagName === 'select' || !!el.isContentEditable;
+};
+
+/**
+ * Tests whether the object is a `Window`
+ * @param {*} obj
+ * @returns {boolean}
+ */
+const isWindow = obj => {
+  return obj != null && obj === obj.window;
+};
+
+/**
+ * Retrieves the window containing the element (or the window itself)
+ * @param {Element|Window} el
+ * @returns {Window}
+ */
+const getWindowOf = el => {
+  return isWindow(el) ? el : el.ownerDocument.defaultView;
+};
+
+/**
+ * Resolves on the next animation frame
+ * @returns {Promise<void>}
+ */
+const nextAnimationFrame = () => {
+  return new Promise(resolve => requestAnimationFrame(() => resolve()));
+};
+
 let _isTransformSupported = null;
 
 const getSupportedTransform = () => {
@@ -151,6 +151,7 @@ import { fileURLToPath } from 'node:url';
             exports: task.outputExports,
             globals: {
                 '@danielgindi/dom-utils/lib/Css.js': 'domUtilsCss',
+                '@danielgindi/dom-utils/lib/ScrollHelper.js': 'domUtilsScrollHelper',
             },
         });
 